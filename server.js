@@ -3,6 +3,8 @@ const { google } = require('googleapis');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
 
 // Try to use puppeteer-extra with stealth plugin, fallback to regular puppeteer
 let puppeteer;
@@ -19,7 +21,7 @@ try {
 
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '25mb' })); // Saved runs include the rendered result
 
 // Serve Index.html as the main page
 app.get('/', (req, res) => {
@@ -31,6 +33,9 @@ app.use(express.static(path.join(__dirname, 'public')));
 
 const PORT = 3000;
 
+// Saved runs and highlight snapshots are stored outside the project folder, which is served as static files
+const DATA_DIR = path.join(os.homedir(), '.mazda-validator');
+
 // Google Sheets API setup
 // You can use either OAuth2 or Service Account
 // For simplicity, we'll use OAuth2 with a client ID/secret
@@ -104,12 +109,446 @@ try {
     }
 }
 
+// Findings of highlight runs can be written into the sheet itself: a note on every flagged cell and a
+// "Validation" tab listing each finding with a link to its cell
+const VALIDATION_TAB_TITLE = 'Validation';
+const VALIDATION_TAB_HEADERS = ['Check', 'Sheet', 'Cell', 'Issue', 'Updated'];
+
+// Helper function to convert a 0-based column index to its A1 letters
+function getColumnLetter(colIndex) {
+    let letters = '';
+    let n = colIndex + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        letters = String.fromCharCode(65 + remainder) + letters;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+}
+
+// Helper function to quote a sheet title for A1 ranges and formulas
+function quoteSheetTitle(title) {
+    return `'${title.replace(/'/g, "''")}'`;
+}
+
+// Helper function to find the Validation tab, adding it when the spreadsheet has none yet (returns its sheetId)
+async function ensureValidationTab(sheets, spreadsheetId, sheetProperties) {
+    const validationTab = sheetProperties.find(properties => properties.title === VALIDATION_TAB_TITLE);
+    if (validationTab) {
+        return validationTab.sheetId;
+    }
+    const response = await withQuotaRetry(() => sheets.spreadsheets.batchUpdate({
+        spreadsheetId: spreadsheetId,
+        resource: { requests: [{ addSheet: { properties: { title: VALIDATION_TAB_TITLE } } }] }
+    }));
+    return response.data.replies[0].addSheet.properties.sheetId;
+}
+
+// Helper function to write or refresh the Validation tab: the rows of this check on this sheet are
+// replaced by the new findings, rows of other checks and sheets are kept
+async function writeValidationTab(sheets, spreadsheetId, sheetId, checkName, findings) {
+    const spreadsheet = await withQuotaRetry(() => sheets.spreadsheets.get({
+        spreadsheetId: spreadsheetId,
+        fields: 'sheets.properties(sheetId,title)'
+    }));
+    const sheetProperties = spreadsheet.data.sheets.map(sheet => sheet.properties);
+    const targetSheet = sheetProperties.find(properties => properties.sheetId === parseInt(sheetId));
+    const sheetTitle = targetSheet ? targetSheet.title : String(sheetId);
+
+    await ensureValidationTab(sheets, spreadsheetId, sheetProperties);
+
+    const tabRange = `${quoteSheetTitle(VALIDATION_TAB_TITLE)}!A:E`;
+    const existing = await withQuotaRetry(() => sheets.spreadsheets.values.get({
+        spreadsheetId: spreadsheetId,
+        range: tabRange,
+        valueRenderOption: 'FORMULA'
+    }));
+    const keptRows = (existing.data.values || []).slice(1)
+        .filter(row => !(row[0] === checkName && row[1] === sheetTitle));
+
+    const updated = new Date().toISOString();
+    const newRows = findings.map(finding => {
+        const a1 = `${getColumnLetter(finding.colIndex)}${finding.rowIndex + 1}`;
+        const linkText = `${sheetTitle}!${a1}`.replace(/"/g, '""');
+        return [
+            checkName,
+            sheetTitle,
+            `=HYPERLINK("#gid=${parseInt(sheetId)}&range=${a1}", "${linkText}")`,
+            finding.note,
+            updated
+        ];
+    });
+
+    await withQuotaRetry(() => sheets.spreadsheets.values.clear({ spreadsheetId: spreadsheetId, range: tabRange }));
+    await withQuotaRetry(() => sheets.spreadsheets.values.update({
+        spreadsheetId: spreadsheetId,
+        range: `${quoteSheetTitle(VALIDATION_TAB_TITLE)}!A1`,
+        valueInputOption: 'USER_ENTERED',
+        resource: { values: [VALIDATION_TAB_HEADERS].concat(keptRows, newRows) }
+    }));
+
+    return { title: VALIDATION_TAB_TITLE, findings: newRows.length, totalRows: keptRows.length + newRows.length };
+}
+
+// Before /api/highlight-cells writes, the current background colors of the target cells are saved as a
+// highlight run in HIGHLIGHT_SNAPSHOT_DIR, so the run can be restored and tool colors can be cleared later
+const HIGHLIGHT_SNAPSHOT_DIR = process.env.HIGHLIGHT_SNAPSHOT_DIR || path.join(DATA_DIR, 'highlight-snapshots');
+const HIGHLIGHT_RUN_ID_PATTERN = /^\d{13}-[0-9a-f]{8}$/;
+const HIGHLIGHT_RUN_MAX_RUNS = 500; // Oldest highlight runs are deleted beyond this (they can no longer be restored or cleared)
+const COLOR_TOLERANCE = 0.01; // Sheets returns colors as floats (0.65 comes back as 0.64705884)
+const BATCH_UPDATE_MAX_REQUESTS = 500; // Requests per spreadsheets.batchUpdate call
+const BATCH_UPDATE_MAX_RETRIES = 5; // Retries of a batch after a quota (429) error
+const BATCH_UPDATE_BASE_DELAY_MS = 1000; // First backoff delay, doubled on every retry
+const READ_COLORS_MAX_RANGES = 200; // Ranges per getByDataFilter call when reading the colors before highlighting
+
+// Helper function to read the background colors of cells on one sheet (Map "row:col" -> color or null)
+// Only the cells themselves are read: they are merged into ranges and requested a bounded number of ranges
+// at a time, so cells far apart (A2 and AZ5000) do not pull the whole grid between them
+async function readBackgroundColors(sheets, spreadsheetId, sheetId, cells) {
+    const colors = new Map();
+    cells.forEach(cell => {
+        colors.set(`${cell.rowIndex}:${cell.colIndex}`, null);
+    });
+    const ranges = mergeCellsIntoRanges(cells.map(cell => ({ rowIndex: cell.rowIndex, colIndex: cell.colIndex, key: '' })));
+
+    for (let start = 0; start < ranges.length; start += READ_COLORS_MAX_RANGES) {
+        const dataFilters = ranges.slice(start, start + READ_COLORS_MAX_RANGES).map(range => ({
+            gridRange: {
+                sheetId: parseInt(sheetId),
+                startRowIndex: range.startRowIndex,
+                endRowIndex: range.endRowIndex,
+                startColumnIndex: range.startColumnIndex,
+                endColumnIndex: range.endColumnIndex
+            }
+        }));
+        const response = await withQuotaRetry(() => sheets.spreadsheets.getByDataFilter({
+            spreadsheetId: spreadsheetId,
+            fields: 'sheets(data(startRow,startColumn,rowData(values(userEnteredFormat(backgroundColor)))))',
+            resource: { dataFilters: dataFilters, includeGridData: true }
+        }));
+
+        // One grid per range, each positioned by its startRow/startColumn
+        const grids = response.data.sheets && response.data.sheets[0] ? response.data.sheets[0].data || [] : [];
+        grids.forEach(grid => {
+            const startRow = grid.startRow || 0;
+            const startColumn = grid.startColumn || 0;
+            (grid.rowData || []).forEach((rowData, rowOffset) => {
+                (rowData.values || []).forEach((value, colOffset) => {
+                    const key = `${startRow + rowOffset}:${startColumn + colOffset}`;
+                    if (colors.has(key)) {
+                        colors.set(key, value && value.userEnteredFormat ? value.userEnteredFormat.backgroundColor || null : null);
+                    }
+                });
+            });
+        });
+    }
+    return colors;
+}
+
+// Helper function to compare two Sheets colors (missing components are 0, null is "no color")
+function isSameColor(color1, color2) {
+    if (!color1 || !color2) {
+        return !color1 && !color2;
+    }
+    return ['red', 'green', 'blue'].every(component =>
+        Math.abs((color1[component] || 0) - (color2[component] || 0)) < COLOR_TOLERANCE
+    );
+}
+
+// Helper function to merge cells into rectangular ranges of cells with the same key: cells are joined
+// into runs along a row, and a run grows down while the next row has a run over the same columns.
+// If a cell is listed twice the last entry wins, as it would with one request per cell
+function mergeCellsIntoRanges(cells) {
+    const cellsByKey = new Map();
+    const keyByCell = new Map();
+    cells.forEach(cell => {
+        keyByCell.set(`${cell.rowIndex}:${cell.colIndex}`, cell.key);
+    });
+    keyByCell.forEach((key, position) => {
+        const [rowIndex, colIndex] = position.split(':').map(Number);
+        if (!cellsByKey.has(key)) {
+            cellsByKey.set(key, []);
+        }
+        cellsByKey.get(key).push({ rowIndex, colIndex });
+    });
+
+    const ranges = [];
+    cellsByKey.forEach((keyCells, key) => {
+        keyCells.sort((a, b) => a.rowIndex - b.rowIndex || a.colIndex - b.colIndex);
+
+        // Ranges still open at the bottom, by "startColumnIndex:endColumnIndex"
+        let openRanges = new Map();
+        let index = 0;
+        while (index < keyCells.length) {
+            const rowIndex = keyCells[index].rowIndex;
+            const nextOpenRanges = new Map();
+            while (index < keyCells.length && keyCells[index].rowIndex === rowIndex) {
+                const startColumnIndex = keyCells[index].colIndex;
+                let endColumnIndex = startColumnIndex + 1;
+                index++;
+                while (index < keyCells.length && keyCells[index].rowIndex === rowIndex && keyCells[index].colIndex === endColumnIndex) {
+                    endColumnIndex++;
+                    index++;
+                }
+
+                const columns = `${startColumnIndex}:${endColumnIndex}`;
+                const above = openRanges.get(columns);
+                if (above && above.endRowIndex === rowIndex) {
+                    above.endRowIndex = rowIndex + 1;
+                    nextOpenRanges.set(columns, above);
+                } else {
+                    const range = { key, startRowIndex: rowIndex, endRowIndex: rowIndex + 1, startColumnIndex, endColumnIndex };
+                    ranges.push(range);
+                    nextOpenRanges.set(columns, range);
+                }
+            }
+            openRanges = nextOpenRanges;
+        }
+    });
+    return ranges;
+}
+
+// Helper function to build requests that set (or, for null, remove) the background color of cells and,
+// for cells with a note, the note. Adjacent cells with the same color and note share one request
+function buildCellFormatRequests(sheetId, cellFormats) {
+    const ranges = mergeCellsIntoRanges(cellFormats.map(cell => ({
+        rowIndex: cell.rowIndex,
+        colIndex: cell.colIndex,
+        key: JSON.stringify([cell.color || null, cell.note || null])
+    })));
+    return ranges.map(range => {
+        const [color, note] = JSON.parse(range.key);
+        const cellData = { userEnteredFormat: color ? { backgroundColor: color } : {} };
+        if (note) {
+            cellData.note = note;
+        }
+        return {
+            repeatCell: {
+                range: {
+                    sheetId: parseInt(sheetId),
+                    startRowIndex: range.startRowIndex,
+                    endRowIndex: range.endRowIndex,
+                    startColumnIndex: range.startColumnIndex,
+                    endColumnIndex: range.endColumnIndex
+                },
+                cell: cellData,
+                fields: note ? 'userEnteredFormat.backgroundColor,note' : 'userEnteredFormat.backgroundColor'
+            }
+        };
+    });
+}
+
+// Helper function to check whether a Sheets API error is a quota (rate limit) error
+function isQuotaError(error) {
+    return Number(error.code) === 429 || error.response?.status === 429 || error.status === 429;
+}
+
+// Helper function to run a Sheets API call, retrying quota errors with exponential backoff (or after the
+// Retry-After the API asks for). onRetry(attempt, delayMs) is called before every wait
+async function withQuotaRetry(operation, options = {}, onRetry) {
+    const maxRetries = options.maxRetries !== undefined ? options.maxRetries : BATCH_UPDATE_MAX_RETRIES;
+    const baseDelayMs = options.baseDelayMs !== undefined ? options.baseDelayMs : BATCH_UPDATE_BASE_DELAY_MS;
+    const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await operation();
+        } catch (error) {
+            if (!isQuotaError(error) || attempt >= maxRetries) {
+                throw error;
+            }
+            const retryAfterSeconds = Number(error.response?.headers?.['retry-after']);
+            const delayMs = retryAfterSeconds > 0
+                ? retryAfterSeconds * 1000
+                : baseDelayMs * Math.pow(2, attempt) + Math.floor(Math.random() * baseDelayMs);
+            if (onRetry) {
+                onRetry(attempt, delayMs);
+            } else {
+                console.warn(`Sheets quota exceeded, retrying in ${delayMs}ms (attempt ${attempt + 1}/${maxRetries})`);
+            }
+            await sleep(delayMs);
+        }
+    }
+}
+
+// Helper function to send requests to spreadsheets.batchUpdate in batches of at most maxRequests,
+// each retried on quota errors (see withQuotaRetry).
+// Returns the progress; if a batch still fails the error carries the progress so far as error.progress
+async function batchUpdateInChunks(sheets, spreadsheetId, requests, options = {}) {
+    const maxRequests = options.maxRequests || BATCH_UPDATE_MAX_REQUESTS;
+    const maxRetries = options.maxRetries !== undefined ? options.maxRetries : BATCH_UPDATE_MAX_RETRIES;
+
+    const progress = {
+        totalRequests: requests.length,
+        appliedRequests: 0,
+        batches: Math.ceil(requests.length / maxRequests),
+        completedBatches: 0,
+        retries: 0
+    };
+
+    for (let start = 0; start < requests.length; start += maxRequests) {
+        const batch = requests.slice(start, start + maxRequests);
+        try {
+            await withQuotaRetry(() => sheets.spreadsheets.batchUpdate({
+                spreadsheetId: spreadsheetId,
+                resource: { requests: batch }
+            }), options, (attempt, delayMs) => {
+                progress.retries++;
+                console.warn(`Sheets quota exceeded on batch ${progress.completedBatches + 1}/${progress.batches}, retrying in ${delayMs}ms (attempt ${attempt + 1}/${maxRetries})`);
+            });
+        } catch (error) {
+            error.progress = progress;
+            throw error;
+        }
+        progress.appliedRequests += batch.length;
+        progress.completedBatches++;
+    }
+    return progress;
+}
+
+// Helper function to save a highlight run: the colors before and the colors applied per cell
+function saveHighlightRun(spreadsheetId, sheetId, checkName, cellColors) {
+    const createdAt = new Date();
+    const highlightRun = {
+        id: `${createdAt.getTime()}-${crypto.randomBytes(4).toString('hex')}`,
+        spreadsheetId: spreadsheetId,
+        sheetId: parseInt(sheetId),
+        checkName: checkName,
+        createdAt: createdAt.toISOString(),
+        restoredAt: null,
+        cells: cellColors
+    };
+    fs.mkdirSync(HIGHLIGHT_SNAPSHOT_DIR, { recursive: true });
+    fs.writeFileSync(path.join(HIGHLIGHT_SNAPSHOT_DIR, `${highlightRun.id}.json`), JSON.stringify(highlightRun));
+
+    // Keep the store bounded
+    const highlightRunIds = listHighlightRunIds();
+    highlightRunIds.slice(0, Math.max(0, highlightRunIds.length - HIGHLIGHT_RUN_MAX_RUNS)).forEach(oldRunId => {
+        fs.unlinkSync(path.join(HIGHLIGHT_SNAPSHOT_DIR, `${oldRunId}.json`));
+    });
+    return highlightRun;
+}
+
+// Helper function to read one highlight run (null if it does not exist)
+function readHighlightRun(runId) {
+    if (!HIGHLIGHT_RUN_ID_PATTERN.test(runId)) {
+        return null;
+    }
+    const runPath = path.join(HIGHLIGHT_SNAPSHOT_DIR, `${runId}.json`);
+    if (!fs.existsSync(runPath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(runPath, 'utf8'));
+}
+
+// Helper function to list the ids of all highlight runs, oldest first (ids start with the timestamp)
+function listHighlightRunIds() {
+    if (!fs.existsSync(HIGHLIGHT_SNAPSHOT_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(HIGHLIGHT_SNAPSHOT_DIR)
+        .filter(name => name.endsWith('.json'))
+        .map(name => name.slice(0, -5))
+        .filter(runId => HIGHLIGHT_RUN_ID_PATTERN.test(runId))
+        .sort();
+}
+
+// Helper function to list all highlight runs, oldest first
+function listHighlightRuns() {
+    return listHighlightRunIds()
+        .map(readHighlightRun)
+        .filter(Boolean);
+}
+
+// Cells can carry a status (pass, warning, fail, info) instead of the older isValid/isHttps/isHttp/color flags.
+// The colors come from a palette: DEFAULT_HIGHLIGHT_PALETTE, overridden by "highlightPalette" in
+// scan-config.json ("default" for every check, "checks": { "<checkId>": {...} } per check), as hex colors.
+const HIGHLIGHT_STATUSES = ['pass', 'warning', 'fail', 'info'];
+const DEFAULT_HIGHLIGHT_PALETTE = {
+    pass: '#00FF00',
+    warning: '#FFA500',
+    fail: '#FF0000',
+    info: '#9FC5E8'
+};
+// The legend is written to the Validation tab, one row per check in the columns after the findings,
+// so it never becomes a row of the data tab that the checks read
+const LEGEND_ROW_LABEL = 'Validation legend';
+const LEGEND_COLUMN_INDEX = VALIDATION_TAB_HEADERS.length + 1; // One empty column after the findings
+
+// Helper function to convert a hex color (#RRGGBB) to a Sheets color
+function hexToSheetsColor(hex) {
+    const match = /^#?([0-9a-f]{6})$/i.exec(String(hex).trim());
+    if (!match) {
+        throw new Error(`Invalid palette color "${hex}" (expected #RRGGBB)`);
+    }
+    const value = parseInt(match[1], 16);
+    return {
+        red: ((value >> 16) & 255) / 255,
+        green: ((value >> 8) & 255) / 255,
+        blue: (value & 255) / 255
+    };
+}
+
+// Helper function to pick the palette of a check (defaults, then scan-config.json default, then the check's own colors)
+function resolveHighlightPalette(checkId) {
+    const configPalette = loadScanConfig().highlightPalette || {};
+    const checkPalette = checkId && configPalette.checks ? configPalette.checks[checkId] || {} : {};
+    const hexPalette = Object.assign({}, DEFAULT_HIGHLIGHT_PALETTE, configPalette.default || {}, checkPalette);
+    const palette = {};
+    HIGHLIGHT_STATUSES.forEach(status => {
+        palette[status] = hexToSheetsColor(hexPalette[status]);
+    });
+    return palette;
+}
+
+// Helper function to write (or rewrite) the legend row of a check in the Validation tab:
+// "Validation legend: <check>" followed by one colored cell per status
+async function writeLegendRow(sheets, spreadsheetId, checkName, palette) {
+    const spreadsheet = await withQuotaRetry(() => sheets.spreadsheets.get({
+        spreadsheetId: spreadsheetId,
+        fields: 'sheets.properties(sheetId,title)'
+    }));
+    const validationTabId = await ensureValidationTab(sheets, spreadsheetId, spreadsheet.data.sheets.map(sheet => sheet.properties));
+
+    // Reuse the row of this check, otherwise take the first row below the legends (only the label column is read)
+    const labelColumn = getColumnLetter(LEGEND_COLUMN_INDEX);
+    const label = `${LEGEND_ROW_LABEL}: ${checkName}`;
+    const labelValues = await withQuotaRetry(() => sheets.spreadsheets.values.get({
+        spreadsheetId: spreadsheetId,
+        range: `${quoteSheetTitle(VALIDATION_TAB_TITLE)}!${labelColumn}:${labelColumn}`
+    }));
+    const rows = labelValues.data.values || [];
+    const existingIndex = rows.findIndex(row => row[0] === label);
+    const rowIndex = existingIndex !== -1 ? existingIndex : rows.length;
+
+    await withQuotaRetry(() => sheets.spreadsheets.values.update({
+        spreadsheetId: spreadsheetId,
+        range: `${quoteSheetTitle(VALIDATION_TAB_TITLE)}!${labelColumn}${rowIndex + 1}`,
+        valueInputOption: 'RAW',
+        resource: { values: [[label].concat(HIGHLIGHT_STATUSES.map(status => status.charAt(0).toUpperCase() + status.slice(1)))] }
+    }));
+    await batchUpdateInChunks(sheets, spreadsheetId, buildCellFormatRequests(validationTabId, HIGHLIGHT_STATUSES.map((status, index) => ({
+        rowIndex: rowIndex,
+        colIndex: LEGEND_COLUMN_INDEX + index + 1,
+        color: palette[status]
+    }))));
+    return { title: VALIDATION_TAB_TITLE, range: `${labelColumn}${rowIndex + 1}:${getColumnLetter(LEGEND_COLUMN_INDEX + HIGHLIGHT_STATUSES.length)}${rowIndex + 1}` };
+}
+
 // API endpoint to highlight cells
 app.post('/api/highlight-cells', async (req, res) => {
     try {
         console.log('Received request:', JSON.stringify(req.body, null, 2));
         
         const { spreadsheetId, sheetId, cells } = req.body;
+        // Optional: checkName, addNotes (note "<checkName>: <cell.note>" on cells with a note) and
+        // summaryTab (list the cells with a note in the Validation tab)
+        const checkName = req.body.checkName || 'Validation';
+        const addNotes = req.body.addNotes === true;
+        const summaryTab = req.body.summaryTab === true;
+        // Optional: checkId (palette of that check) and legendRow (write the palette to the Validation tab)
+        const checkId = req.body.checkId || null;
+        const legendRow = req.body.legendRow === true;
 
         console.log('Extracted:', { 
             spreadsheetId: spreadsheetId ? 'present' : 'missing',
@@ -122,6 +561,7 @@ app.post('/api/highlight-cells', async (req, res) => {
             console.log('First 5 cells sample:', cells.slice(0, 5).map(c => ({
                 row: c.rowIndex,
                 col: c.colIndex,
+                status: c.status,
                 isValid: c.isValid,
                 isValidType: typeof c.isValid,
                 isHttps: c.isHttps,
@@ -138,6 +578,17 @@ app.post('/api/highlight-cells', async (req, res) => {
         if (!cells || !Array.isArray(cells) || cells.length === 0) {
             return res.status(400).json({ error: 'Missing or empty required parameter: cells (must be a non-empty array)' });
         }
+        const invalidStatusCell = cells.find(cell => cell.status !== undefined && !HIGHLIGHT_STATUSES.includes(cell.status));
+        if (invalidStatusCell) {
+            return res.status(400).json({ error: `Invalid cell status "${invalidStatusCell.status}" (must be one of ${HIGHLIGHT_STATUSES.join(', ')})` });
+        }
+
+        let palette;
+        try {
+            palette = resolveHighlightPalette(checkId);
+        } catch (paletteError) {
+            return res.status(500).json({ error: paletteError.message });
+        }
 
         let auth = serviceAccountAuth || oauth2Client;
 
@@ -157,9 +608,9 @@ app.post('/api/highlight-cells', async (req, res) => {
 
         const sheets = google.sheets({ version: 'v4', auth });
 
-        // Prepare highlight requests
+        // Prepare the color (and note) of each cell
         // Support both old format (just cells) and new format (cells with color info)
-        const requests = cells.map((cell, index) => {
+        const cellFormats = cells.map((cell, index) => {
             // Default to yellow if no color specified
             let color = { red: 1, green: 1, blue: 0 };
             
@@ -185,9 +636,10 @@ app.post('/api/highlight-cells', async (req, res) => {
             const hasIsValidProperty = 'isValid' in cell;
             const isValidType = typeof rawIsValid;
             
-            // Determine color - priority: isValid > isHttps > isHttp
-            // Check isValid first (for model names validation)
-            if (hasIsValidProperty && rawIsValid !== undefined && rawIsValid !== null) {
+            // Determine color - a status uses the palette, otherwise priority: isValid > isHttps > isHttp
+            if (cell.status) {
+                color = palette[cell.status];
+            } else if (hasIsValidProperty && rawIsValid !== undefined && rawIsValid !== null) {
                 // Model names validation: valid = green, invalid = red
                 const isValidBool = rawIsValid === true || rawIsValid === 'true' || rawIsValid === 1;
                 if (isValidBool) {
@@ -229,43 +681,222 @@ app.post('/api/highlight-cells', async (req, res) => {
                 });
             }
             
+            const writeNote = addNotes && typeof cell.note === 'string' && cell.note !== '';
+
             return {
-                repeatCell: {
-                    range: {
-                        sheetId: parseInt(sheetId),
-                        startRowIndex: cell.rowIndex,
-                        endRowIndex: cell.rowIndex + 1,
-                        startColumnIndex: cell.colIndex,
-                        endColumnIndex: cell.colIndex + 1
-                    },
-                    cell: {
-                        userEnteredFormat: {
-                            backgroundColor: color
-                        }
-                    },
-                    fields: 'userEnteredFormat.backgroundColor'
-                }
+                rowIndex: cell.rowIndex,
+                colIndex: cell.colIndex,
+                color: color,
+                note: writeNote ? `${checkName}: ${cell.note}` : null
             };
         });
 
-        // Apply highlights
-        const response = await sheets.spreadsheets.batchUpdate({
-            spreadsheetId: spreadsheetId,
-            resource: { requests }
-        });
+        // Adjacent cells with the same color and note are highlighted as one range
+        const requests = buildCellFormatRequests(sheetId, cellFormats);
+        console.log(`Merged ${cells.length} cells into ${requests.length} ranges`);
+
+        // Save the current colors first so this run can be undone; nothing is written when that fails
+        let highlightRun;
+        try {
+            const colorsBefore = await readBackgroundColors(sheets, spreadsheetId, sheetId, cells);
+            highlightRun = saveHighlightRun(spreadsheetId, sheetId, checkName, cells.map((cell, index) => ({
+                rowIndex: cell.rowIndex,
+                colIndex: cell.colIndex,
+                before: colorsBefore.get(`${cell.rowIndex}:${cell.colIndex}`) || null,
+                applied: cellFormats[index].color
+            })));
+        } catch (snapshotError) {
+            console.error('Could not save the colors before highlighting, nothing was highlighted:', snapshotError.message);
+            return res.status(500).json({
+                error: `Could not save the current colors, so the highlights could not be undone. Nothing was highlighted: ${snapshotError.message}`,
+                details: snapshotError.response?.data || null
+            });
+        }
+
+        // Apply highlights in batches (large sheets hit the request size limit and the write quota)
+        const progress = await batchUpdateInChunks(sheets, spreadsheetId, requests);
+
+        // The highlights are applied at this point, so a failing Validation tab write is reported as a warning
+        // (the run stays restorable through highlightRunId)
+        const warnings = [];
+
+        // Write the palette to the Validation tab
+        let legend = null;
+        if (legendRow) {
+            try {
+                legend = await writeLegendRow(sheets, spreadsheetId, checkName, palette);
+            } catch (legendError) {
+                console.error('Error writing the legend row:', legendError.message);
+                warnings.push(`Could not write the legend row: ${legendError.message}`);
+            }
+        }
+
+        // List the findings in the Validation tab
+        let validationTab = null;
+        if (summaryTab) {
+            const findings = cells.filter(cell => typeof cell.note === 'string' && cell.note !== '');
+            try {
+                validationTab = await writeValidationTab(sheets, spreadsheetId, sheetId, checkName, findings);
+            } catch (validationTabError) {
+                console.error('Error writing the Validation tab:', validationTabError.message);
+                warnings.push(`Could not write the Validation tab: ${validationTabError.message}`);
+            }
+        }
 
         res.json({ 
             success: true, 
             message: `Successfully highlighted ${cells.length} cells`,
-            updatedCells: cells.length
+            updatedCells: cells.length,
+            notes: addNotes ? cells.filter(cell => typeof cell.note === 'string' && cell.note !== '').length : 0,
+            validationTab: validationTab,
+            legend: legend,
+            highlightRunId: highlightRun.id,
+            progress: progress,
+            warnings: warnings
         });
 
     } catch (error) {
         console.error('Error highlighting cells:', error);
         res.status(500).json({ 
             error: error.message || 'Failed to highlight cells',
-            details: error.response?.data || error
+            details: error.response?.data || error,
+            // Set when only some batches were applied; the highlight run (if saved) can still be restored
+            progress: error.progress || null
+        });
+    }
+});
+
+// List highlight runs, newest first (optional filter: spreadsheetId)
+app.get('/api/highlight-runs', (req, res) => {
+    try {
+        const highlightRuns = listHighlightRuns()
+            .filter(run => !req.query.spreadsheetId || run.spreadsheetId === req.query.spreadsheetId)
+            .reverse()
+            .map(run => ({
+                id: run.id,
+                spreadsheetId: run.spreadsheetId,
+                sheetId: run.sheetId,
+                checkName: run.checkName,
+                createdAt: run.createdAt,
+                restoredAt: run.restoredAt,
+                cellCount: run.cells.length
+            }));
+        res.json({ ok: true, highlightRuns: highlightRuns });
+    } catch (error) {
+        console.error('Error listing highlight runs:', error);
+        res.status(500).json({ ok: false, error: error.message });
+    }
+});
+
+// Undo a highlight run: put the colors from before the run back
+app.post('/api/highlight-runs/:runId/restore', async (req, res) => {
+    try {
+        const highlightRun = readHighlightRun(req.params.runId);
+        if (!highlightRun) {
+            return res.status(404).json({ ok: false, error: 'Highlight run not found' });
+        }
+
+        const auth = serviceAccountAuth || oauth2Client;
+        if (!auth) {
+            return res.status(500).json({ ok: false, error: 'Authentication not configured. Please set up Google credentials.' });
+        }
+        if (oauth2Client && !oauth2Client.credentials) {
+            return res.status(401).json({ ok: false, error: 'Not authenticated. Please authorize first.', authUrl: `/auth` });
+        }
+        const sheets = google.sheets({ version: 'v4', auth });
+
+        const requests = buildCellFormatRequests(highlightRun.sheetId, highlightRun.cells.map(cell => ({
+            rowIndex: cell.rowIndex,
+            colIndex: cell.colIndex,
+            color: cell.before
+        })));
+        await batchUpdateInChunks(sheets, highlightRun.spreadsheetId, requests);
+
+        highlightRun.restoredAt = new Date().toISOString();
+        fs.writeFileSync(path.join(HIGHLIGHT_SNAPSHOT_DIR, `${highlightRun.id}.json`), JSON.stringify(highlightRun));
+
+        console.log(`Restored ${highlightRun.cells.length} cells of highlight run ${highlightRun.id}`);
+        res.json({ ok: true, restoredCells: highlightRun.cells.length });
+    } catch (error) {
+        console.error('Error restoring highlight run:', error);
+        res.status(500).json({ ok: false, error: error.message, details: error.response?.data });
+    }
+});
+
+// Remove the colors this tool applied to a spreadsheet (optionally one sheet); cells recolored by
+// someone else since are left alone
+app.post('/api/clear-highlights', async (req, res) => {
+    try {
+        const { spreadsheetId, sheetId } = req.body || {};
+        if (!spreadsheetId || typeof spreadsheetId !== 'string') {
+            return res.status(400).json({ ok: false, error: 'Missing or invalid required parameter: spreadsheetId' });
+        }
+
+        const highlightRuns = listHighlightRuns().filter(run =>
+            run.spreadsheetId === spreadsheetId &&
+            (sheetId === undefined || sheetId === null || run.sheetId === parseInt(sheetId))
+        );
+        if (highlightRuns.length === 0) {
+            return res.json({ ok: true, clearedCells: 0, keptCells: 0 });
+        }
+
+        const auth = serviceAccountAuth || oauth2Client;
+        if (!auth) {
+            return res.status(500).json({ ok: false, error: 'Authentication not configured. Please set up Google credentials.' });
+        }
+        if (oauth2Client && !oauth2Client.credentials) {
+            return res.status(401).json({ ok: false, error: 'Not authenticated. Please authorize first.', authUrl: `/auth` });
+        }
+        const sheets = google.sheets({ version: 'v4', auth });
+
+        // Per cell: the color before the tool first touched it and every color the tool applied
+        const cellsBySheet = new Map();
+        highlightRuns.forEach(run => {
+            if (!cellsBySheet.has(run.sheetId)) {
+                cellsBySheet.set(run.sheetId, new Map());
+            }
+            const sheetCells = cellsBySheet.get(run.sheetId);
+            run.cells.forEach(cell => {
+                const key = `${cell.rowIndex}:${cell.colIndex}`;
+                if (!sheetCells.has(key)) {
+                    sheetCells.set(key, { rowIndex: cell.rowIndex, colIndex: cell.colIndex, original: cell.before, applied: [] });
+                }
+                sheetCells.get(key).applied.push(cell.applied);
+            });
+        });
+
+        let clearedCells = 0;
+        let keptCells = 0;
+        for (const [runSheetId, sheetCells] of cellsBySheet) {
+            const cells = Array.from(sheetCells.values());
+            const currentColors = await readBackgroundColors(sheets, spreadsheetId, runSheetId, cells);
+            const toClear = cells.filter(cell => {
+                const current = currentColors.get(`${cell.rowIndex}:${cell.colIndex}`);
+                return cell.applied.some(applied => isSameColor(applied, current));
+            });
+            keptCells += cells.length - toClear.length;
+            if (toClear.length === 0) continue;
+
+            await batchUpdateInChunks(sheets, spreadsheetId, buildCellFormatRequests(runSheetId, toClear.map(cell => ({
+                rowIndex: cell.rowIndex,
+                colIndex: cell.colIndex,
+                color: cell.original
+            }))));
+            clearedCells += toClear.length;
+        }
+
+        // Cleared runs are marked restored so they are not restored again on top of newer colors
+        const restoredAt = new Date().toISOString();
+        highlightRuns.forEach(run => {
+            run.restoredAt = run.restoredAt || restoredAt;
+            fs.writeFileSync(path.join(HIGHLIGHT_SNAPSHOT_DIR, `${run.id}.json`), JSON.stringify(run));
         });
+
+        console.log(`Cleared ${clearedCells} tool highlights in ${spreadsheetId} (${keptCells} cells recolored since, kept)`);
+        res.json({ ok: true, clearedCells: clearedCells, keptCells: keptCells });
+    } catch (error) {
+        console.error('Error clearing highlights:', error);
+        res.status(500).json({ ok: false, error: error.message, details: error.response?.data });
     }
 });
 
@@ -324,142 +955,874 @@ function findSystemChrome() {
 // Serve static files from /public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
-// API endpoint to count jvxBase_* iframes and frm1_HL_ elements
-app.get('/api/count', async (req, res) => {
-    const url = req.query.url;
-    if (!url) return res.status(400).json({ ok: false, error: 'Missing ?url=' });
+// ============================================
+// BROWSER POOL
+// ============================================
+// One Chrome instance is launched on first use and shared by all /api/count requests.
+// Each request gets its own incognito browser context (isolated cookies/storage) which is closed afterwards.
+// At most BROWSER_POOL_MAX_CONCURRENCY contexts are open at once; further requests wait in a FIFO queue.
+// If Chrome crashes or disconnects, the next request launches a new instance.
+const BROWSER_POOL_MAX_CONCURRENCY = parseInt(process.env.BROWSER_POOL_MAX_CONCURRENCY, 10) || 3;
+const BROWSER_LAUNCH_RETRIES = 3;
 
-    let browser;
-    let page;
-    const maxRetries = 3;
-    let lastError = null;
+const browserPool = {
+    browser: null,
+    launching: null, // Promise of an in-progress launch, shared by concurrent callers
+    activeContexts: 0,
+    queue: [] // Resolvers of requests waiting for a free slot
+};
 
-    try {
-        // Try to launch browser with retries and fallback options
-        const launchOptions = [
-            // Option 1: New headless mode with minimal args
+// Helper function to build the list of launch configurations to try, in order
+function getBrowserLaunchOptions() {
+    const launchOptions = [
+        // Option 1: New headless mode with minimal args
+        {
+            headless: 'new',
+            args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+        },
+        // Option 2: Old headless mode
+        {
+            headless: true,
+            args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+        },
+        // Option 3: Try with even fewer args
+        {
+            headless: true,
+            args: ['--no-sandbox']
+        },
+        // Option 4: Absolute minimum
+        {
+            headless: true,
+            args: []
+        }
+    ];
+
+    // Try to find system Chrome as fallback
+    const systemChromePath = findSystemChrome();
+    if (systemChromePath) {
+        // Add system Chrome options
+        launchOptions.push(
             {
+                executablePath: systemChromePath,
                 headless: 'new',
                 args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
             },
-            // Option 2: Old headless mode
             {
+                executablePath: systemChromePath,
                 headless: true,
                 args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
-            },
-            // Option 3: Try with even fewer args
-            {
-                headless: true,
-                args: ['--no-sandbox']
-            },
-            // Option 4: Absolute minimum
-            {
-                headless: true,
-                args: []
             }
-        ];
+        );
+    }
 
-        // Try to find system Chrome as fallback
-        const systemChromePath = findSystemChrome();
-        if (systemChromePath) {
-            // Add system Chrome options
-            launchOptions.push(
-                {
-                    executablePath: systemChromePath,
-                    headless: 'new',
-                    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
-                },
-                {
-                    executablePath: systemChromePath,
-                    headless: true,
-                    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
-                }
-            );
-        }
+    return launchOptions;
+}
 
-        let browserLaunched = false;
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            for (let optIndex = 0; optIndex < launchOptions.length; optIndex++) {
-                try {
-                    const isSystemChrome = launchOptions[optIndex].executablePath ? ' (system Chrome)' : '';
-                    console.log(`Browser launch attempt ${attempt}, option ${optIndex + 1}${isSystemChrome}...`);
-                    browser = await puppeteer.launch(launchOptions[optIndex]);
-                    console.log(`✅ Browser launched successfully with option ${optIndex + 1}${isSystemChrome}`);
-                    browserLaunched = true;
-                    break;
-                } catch (launchError) {
-                    lastError = launchError;
-                    if (optIndex === launchOptions.length - 1 && attempt === maxRetries) {
-                        // Last option of last attempt
-                        const errorMsg = launchError.message || String(launchError);
-                        let helpfulMessage = `Failed to launch browser after ${maxRetries} attempts with ${launchOptions.length} different configurations.\n\n`;
-                        
-                        if (process.platform === 'darwin') {
-                            helpfulMessage += `On macOS, this is often caused by:\n`;
-                            helpfulMessage += `1. Missing or corrupted Chromium installation\n`;
-                            helpfulMessage += `2. macOS security restrictions\n\n`;
-                            helpfulMessage += `Solutions:\n`;
-                            helpfulMessage += `- Reinstall Puppeteer: npm uninstall puppeteer && npm install puppeteer\n`;
-                            helpfulMessage += `- Or install Chromium via Homebrew: brew install chromium --no-quarantine\n`;
-                            helpfulMessage += `- Or install Google Chrome from https://www.google.com/chrome/\n\n`;
-                        }
-                        
-                        helpfulMessage += `Original error: ${errorMsg.substring(0, 500)}`;
-                        throw new Error(helpfulMessage);
+// Helper function to launch Chrome, trying every launch option with retries
+async function launchPoolBrowser() {
+    const launchOptions = getBrowserLaunchOptions();
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= BROWSER_LAUNCH_RETRIES; attempt++) {
+        for (let optIndex = 0; optIndex < launchOptions.length; optIndex++) {
+            try {
+                const isSystemChrome = launchOptions[optIndex].executablePath ? ' (system Chrome)' : '';
+                console.log(`Browser launch attempt ${attempt}, option ${optIndex + 1}${isSystemChrome}...`);
+                const browser = await puppeteer.launch(launchOptions[optIndex]);
+                console.log(`✅ Browser launched successfully with option ${optIndex + 1}${isSystemChrome}`);
+
+                // Forget a crashed/closed browser so the next request relaunches it
+                browser.on('disconnected', () => {
+                    if (browserPool.browser === browser) {
+                        console.log('⚠️ Pooled browser disconnected, it will be relaunched on the next request');
+                        browserPool.browser = null;
                     }
-                }
-            }
-            if (browserLaunched) break;
-            
-            if (attempt < maxRetries) {
-                await new Promise(r => setTimeout(r, 1000 * attempt));
+                });
+                return browser;
+            } catch (launchError) {
+                lastError = launchError;
             }
         }
-        
-        if (!browserLaunched) {
-            throw new Error(`Failed to launch browser: ${lastError?.message || 'Unknown error'}`);
+
+        if (attempt < BROWSER_LAUNCH_RETRIES) {
+            await new Promise(r => setTimeout(r, 1000 * attempt));
         }
+    }
 
-        page = await browser.newPage();
-        
-        // Set longer timeout
-        page.setDefaultNavigationTimeout(90000);
-        page.setDefaultTimeout(90000);
+    const errorMsg = lastError?.message || String(lastError);
+    let helpfulMessage = `Failed to launch browser after ${BROWSER_LAUNCH_RETRIES} attempts with ${launchOptions.length} different configurations.\n\n`;
 
-        // Try navigation with retries
-        let navigationSuccess = false;
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                console.log(`Navigation attempt ${attempt}/${maxRetries} for ${url}`);
-                
-                // Wait for network idle as specified
-                await page.goto(url, { 
-                    waitUntil: 'networkidle0', 
-                    timeout: 90000 
-                });
-                
-                navigationSuccess = true;
-                console.log('Navigation successful (network idle)');
-                break;
-            } catch (navError) {
-                lastError = navError;
-                const errorMsg = navError.message || String(navError);
-                console.log(`Navigation attempt ${attempt} failed:`, errorMsg);
-                
-                // If it's a connection error, retry
-                if (errorMsg.includes('ECONNRESET') || 
-                    errorMsg.includes('ECONNREFUSED') ||
-                    errorMsg.includes('ETIMEDOUT') ||
-                    errorMsg.includes('net::ERR')) {
-                    if (attempt < maxRetries) {
-                        console.log(`Connection error, retrying in ${attempt * 2} seconds...`);
-                        await new Promise(r => setTimeout(r, attempt * 2000));
-                        continue;
-                    }
-                }
-                
-                // For other errors, still retry once
-                if (attempt < maxRetries) {
+    if (process.platform === 'darwin') {
+        helpfulMessage += `On macOS, this is often caused by:\n`;
+        helpfulMessage += `1. Missing or corrupted Chromium installation\n`;
+        helpfulMessage += `2. macOS security restrictions\n\n`;
+        helpfulMessage += `Solutions:\n`;
+        helpfulMessage += `- Reinstall Puppeteer: npm uninstall puppeteer && npm install puppeteer\n`;
+        helpfulMessage += `- Or install Chromium via Homebrew: brew install chromium --no-quarantine\n`;
+        helpfulMessage += `- Or install Google Chrome from https://www.google.com/chrome/\n\n`;
+    }
+
+    helpfulMessage += `Original error: ${errorMsg.substring(0, 500)}`;
+    throw new Error(helpfulMessage);
+}
+
+// Helper function to get the pooled browser, launching it if needed
+async function getPoolBrowser() {
+    if (browserPool.browser && browserPool.browser.connected) {
+        return browserPool.browser;
+    }
+    if (!browserPool.launching) {
+        browserPool.launching = launchPoolBrowser()
+            .then(browser => {
+                browserPool.browser = browser;
+                return browser;
+            })
+            .finally(() => {
+                browserPool.launching = null;
+            });
+    }
+    return browserPool.launching;
+}
+
+// Helper function to wait for a free slot in the pool
+function acquireBrowserSlot() {
+    if (browserPool.activeContexts < BROWSER_POOL_MAX_CONCURRENCY) {
+        browserPool.activeContexts++;
+        return Promise.resolve();
+    }
+    console.log(`Browser pool busy (${browserPool.activeContexts} active), queueing request (${browserPool.queue.length + 1} waiting)`);
+    // The slot is handed over directly by releaseBrowserSlot, so activeContexts stays the same
+    return new Promise(resolve => browserPool.queue.push(resolve));
+}
+
+// Helper function to free a slot, handing it to the next queued request if any
+function releaseBrowserSlot() {
+    const next = browserPool.queue.shift();
+    if (next) {
+        next();
+    } else {
+        browserPool.activeContexts--;
+    }
+}
+
+// Helper function to get a fresh incognito context from the pool
+async function acquireBrowserContext() {
+    await acquireBrowserSlot();
+    try {
+        let browser = await getPoolBrowser();
+        try {
+            return await browser.createBrowserContext();
+        } catch (contextError) {
+            // The browser may have crashed between requests - relaunch once and retry
+            console.log('Could not create browser context, relaunching browser:', contextError.message);
+            if (browserPool.browser === browser) {
+                browserPool.browser = null;
+                try { await browser.close(); } catch (e) { /* already gone */ }
+            }
+            browser = await getPoolBrowser();
+            return await browser.createBrowserContext();
+        }
+    } catch (error) {
+        releaseBrowserSlot();
+        throw error;
+    }
+}
+
+// Helper function to close a context and give its slot back to the pool
+async function releaseBrowserContext(context) {
+    if (!context) return;
+    try {
+        await context.close();
+    } catch (closeError) {
+        console.log('Error closing browser context (non-critical):', closeError.message);
+    } finally {
+        releaseBrowserSlot();
+    }
+}
+
+// Font size spec per ad size (width x height of the creative frame) and element type (the type of the element pattern)
+// minFontSize: smallest allowed computed font-size in px
+// minLineHeightRatio: line-height must be at least this multiple of the font-size (lower values clip glyphs)
+// fontFamilies: allowed font families (first family in the computed font-family); empty allows any
+// The specs come from "fontSizeSpecs" in scan-config.json, otherwise from DEFAULT_FONT_SIZE_SPECS (HL and SL only).
+// Elements of a type without a spec for their ad size (and none under "default") are reported as having no spec.
+const DEFAULT_FONT_SIZE_SPECS = {
+    '300x250': { HL: { minFontSize: 14 }, SL: { minFontSize: 10 } },
+    '300x600': { HL: { minFontSize: 18 }, SL: { minFontSize: 12 } },
+    '160x600': { HL: { minFontSize: 14 }, SL: { minFontSize: 10 } },
+    '728x90': { HL: { minFontSize: 14 }, SL: { minFontSize: 10 } },
+    '970x250': { HL: { minFontSize: 20 }, SL: { minFontSize: 12 } },
+    '320x50': { HL: { minFontSize: 10 }, SL: { minFontSize: 8 } },
+    '320x100': { HL: { minFontSize: 12 }, SL: { minFontSize: 9 } },
+    'default': { HL: { minFontSize: 12 }, SL: { minFontSize: 9 } }
+};
+const fontSizeDefaults = { minLineHeightRatio: 1, fontFamilies: [] };
+
+// Helper function to pick the font size specs for a scan (scan-config.json, then defaults)
+function resolveFontSizeSpecs() {
+    return loadScanConfig().fontSizeSpecs || DEFAULT_FONT_SIZE_SPECS;
+}
+
+// Helper function to check an element's computed font style against the spec for its ad size and type
+// Returns spec null (and no issues) when there is no spec for the element type
+function checkFontSizeSpec(fontStyle, elementType, adSize, fontSizeSpecs = DEFAULT_FONT_SIZE_SPECS) {
+    const sizeSpec = (fontSizeSpecs[adSize] && fontSizeSpecs[adSize][elementType]) || (fontSizeSpecs.default && fontSizeSpecs.default[elementType]);
+    if (!sizeSpec) {
+        return { spec: null, issues: [] };
+    }
+    const spec = { ...fontSizeDefaults, ...sizeSpec };
+    const issues = [];
+
+    if (fontStyle.fontSize !== null && spec.minFontSize !== undefined && fontStyle.fontSize < spec.minFontSize) {
+        issues.push(`font-size ${fontStyle.fontSize}px is below the ${spec.minFontSize}px minimum for ${elementType} in ${fontSizeSpecs[adSize] && fontSizeSpecs[adSize][elementType] ? adSize : 'unlisted ad sizes'}`);
+    }
+    if (fontStyle.lineHeight !== null && fontStyle.fontSize !== null && fontStyle.lineHeight < fontStyle.fontSize * spec.minLineHeightRatio) {
+        issues.push(`line-height ${fontStyle.lineHeight}px is below ${spec.minLineHeightRatio} x font-size`);
+    }
+    if (spec.fontFamilies.length > 0) {
+        const primaryFamily = (fontStyle.fontFamily || '').split(',')[0].replace(/["']/g, '').trim();
+        if (!spec.fontFamilies.some(family => family.toLowerCase() === primaryFamily.toLowerCase())) {
+            issues.push(`font-family "${primaryFamily}" is not one of ${spec.fontFamilies.join(', ')}`);
+        }
+    }
+
+    return { spec: spec, issues: issues };
+}
+
+// ============================================
+// SCAN CONFIG / ELEMENT PATTERNS
+// ============================================
+// The frame scan collects every element whose id starts with one of the element patterns.
+// "*" in a pattern stands for the frame number (frm*_HL_ matches frm1_HL_, frm5_HL_, ...).
+// Patterns come from the request (?patterns=frm*_HL_,CTA_ or "patterns" in the scan job body),
+// otherwise from "elementPatterns" in scan-config.json, otherwise from DEFAULT_ELEMENT_PATTERNS.
+// scan-config.json is read on every scan, so it can be edited without restarting the server.
+const SCAN_CONFIG_PATH = path.join(__dirname, 'scan-config.json');
+const DEFAULT_ELEMENT_PATTERNS = [
+    { pattern: 'frm*_HL_', type: 'HL' },
+    { pattern: 'frm*_SL_', type: 'SL' }
+];
+
+// Helper function to read scan-config.json (an empty config when the file does not exist)
+function loadScanConfig() {
+    if (!fs.existsSync(SCAN_CONFIG_PATH)) {
+        return {};
+    }
+    try {
+        return JSON.parse(fs.readFileSync(SCAN_CONFIG_PATH, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read scan-config.json: ${error.message}`);
+    }
+}
+
+// Helper function to derive the element type from a pattern (frm*_HL_ -> HL, CTA_ -> CTA)
+function getElementPatternType(pattern) {
+    const type = pattern.replace(/^frm\*?_?/i, '').replace(/[_*]+$/, '');
+    return type || pattern;
+}
+
+// Helper function to turn a patterns value (comma separated string, array of strings or {pattern, type} objects)
+// into element patterns
+function parseElementPatterns(source) {
+    const entries = Array.isArray(source) ? source : String(source).split(',');
+    const patterns = entries.map(entry => {
+        const pattern = String(typeof entry === 'object' && entry !== null ? entry.pattern || '' : entry).trim();
+        if (!pattern) return null;
+        if ((pattern.match(/\*/g) || []).length > 1) {
+            throw new Error(`Invalid element pattern "${pattern}": only one "*" (frame number) is allowed`);
+        }
+        const type = typeof entry === 'object' && entry !== null && entry.type ? String(entry.type) : getElementPatternType(pattern);
+        return { pattern: pattern, type: type };
+    }).filter(pattern => pattern);
+
+    if (patterns.length === 0) {
+        throw new Error('At least one element pattern is required');
+    }
+    return patterns;
+}
+
+// Helper function to turn an element pattern into a regex source ("*" matches the frame number)
+function getElementPatternRegexSource(pattern) {
+    return '^' + pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace('*', '(\\d+)');
+}
+
+// Helper function to pick the element patterns for a scan (request value first, then scan-config.json, then defaults)
+function resolveElementPatterns(requestPatterns) {
+    if (requestPatterns !== undefined && requestPatterns !== null && requestPatterns !== '') {
+        return parseElementPatterns(requestPatterns);
+    }
+    const config = loadScanConfig();
+    if (config.elementPatterns) {
+        return parseElementPatterns(config.elementPatterns);
+    }
+    return DEFAULT_ELEMENT_PATTERNS;
+}
+
+// No-break phrases: text that must render on a single line in every scanned element (model names, prices, legal names).
+// scan-config.json "noBreakPhrases" holds a "default" list and per-market lists under "markets" (e.g. "GB": [...]);
+// a scan uses default + the list of its ?market=. A request can send its own list with ?phrases=A,B
+// (or "phrases" in the scan job body), which replaces the configured lists.
+// An entry is either a plain string or { "phrase": "...", "caseSensitive": true } / { "regex": "...", "label": "..." }.
+// Phrases match case-insensitively unless caseSensitive is true; regexes run against the element text with
+// whitespace collapsed to single spaces.
+// Only phrases that can actually wrap matter: single-word models like "MAZDA6e" and "MAZDA3" cannot be split.
+const DEFAULT_NO_BREAK_PHRASES = [
+    'MAZDA CX-60',
+    'MAZDA CX-30',
+    'MAZDA2 HYBRID',
+    'MAZDA CX-80',
+    'MAZDA MX-5',
+    'MAZDA CX-5',
+    'MAZDA MX-30'
+];
+
+// Helper function to turn one no-break phrase entry into a rule the frame scan can match ({ label, type, source, flags })
+function parseNoBreakPhrase(entry) {
+    const rule = typeof entry === 'object' && entry !== null ? entry : { phrase: entry };
+    const caseSensitive = rule.caseSensitive === true;
+    let type;
+    let source;
+    let flags = caseSensitive ? '' : 'i';
+
+    if (rule.regex !== undefined) {
+        type = 'regex';
+        source = String(rule.regex);
+        flags = Array.from(new Set((flags + (rule.flags || '')).replace(/[gy]/g, '').split(''))).join('');
+    } else {
+        type = 'phrase';
+        const phrase = String(rule.phrase || '').replace(/\s+/g, ' ').trim();
+        if (!phrase) return null;
+        source = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    try {
+        new RegExp(source, flags);
+    } catch (error) {
+        throw new Error(`Invalid no-break ${type} "${rule.regex !== undefined ? rule.regex : rule.phrase}": ${error.message}`);
+    }
+
+    return {
+        label: String(rule.label || (type === 'regex' ? `/${source}/` : rule.phrase.replace(/\s+/g, ' ').trim())),
+        type: type,
+        source: source,
+        flags: flags,
+        caseSensitive: caseSensitive
+    };
+}
+
+// Helper function to pick the no-break phrases for a scan (request list first, then scan-config.json default + market)
+function resolveNoBreakPhrases(market, requestPhrases) {
+    let entries;
+    if (requestPhrases !== undefined && requestPhrases !== null && requestPhrases !== '') {
+        entries = Array.isArray(requestPhrases) ? requestPhrases : String(requestPhrases).split(',');
+    } else {
+        const configPhrases = loadScanConfig().noBreakPhrases;
+        if (configPhrases) {
+            const marketKey = market ? String(market).trim().toUpperCase() : '';
+            entries = [...(configPhrases.default || []), ...((marketKey && configPhrases.markets?.[marketKey]) || [])];
+        } else {
+            entries = DEFAULT_NO_BREAK_PHRASES;
+        }
+    }
+
+    const rules = entries.map(parseNoBreakPhrase).filter(rule => rule);
+    if (rules.length === 0) {
+        throw new Error('At least one no-break phrase is required');
+    }
+    return rules;
+}
+
+// ============================================
+// CREATIVE READINESS
+// ============================================
+// After navigation the Jivox JS still has to inject the creatives. Instead of a fixed sleep the scan waits
+// for readiness conditions, chosen per request with ?wait= (or "wait" in the scan job body):
+//   iframes[:N]      - at least N jvxBase_ iframes exist (default: one per tagPreview container)
+//   hl-elements      - every jvxBase_ iframe contains elements matching the scan's element patterns (frm*_HL_, ...)
+//   text-stable[:MS] - the text of all frames has not changed for MS milliseconds (default 1500)
+//   fixed[:MS]       - plain delay of MS milliseconds (default 6000, the old behaviour)
+// A condition can carry its own timeout with @MS (e.g. iframes:4@30000), otherwise waitTimeout applies.
+// waitMode=any (default) stops at the first satisfied condition, waitMode=all waits for every condition.
+const READINESS_CONDITIONS = ['iframes', 'hl-elements', 'text-stable', 'fixed'];
+const READINESS_DEFAULTS = { wait: 'hl-elements', waitTimeout: 20000, waitMode: 'any' };
+const READINESS_POLL_MS = 250;
+
+// Helper function to turn wait/waitTimeout/waitMode request values into readiness options
+function parseReadinessOptions(source) {
+    const wait = source?.wait || READINESS_DEFAULTS.wait;
+    const defaultTimeout = source?.waitTimeout !== undefined ? parseInt(source.waitTimeout, 10) : READINESS_DEFAULTS.waitTimeout;
+    const mode = source?.waitMode || READINESS_DEFAULTS.waitMode;
+
+    if (isNaN(defaultTimeout) || defaultTimeout < 0) {
+        throw new Error('waitTimeout must be a number of milliseconds');
+    }
+    if (mode !== 'any' && mode !== 'all') {
+        throw new Error('waitMode must be "any" or "all"');
+    }
+
+    const conditions = String(wait).split(',').map(part => part.trim()).filter(part => part).map(part => {
+        const [spec, timeoutStr] = part.split('@');
+        const [type, valueStr] = spec.split(':');
+        if (!READINESS_CONDITIONS.includes(type)) {
+            throw new Error(`Unknown wait condition "${type}". Use one of: ${READINESS_CONDITIONS.join(', ')}`);
+        }
+        const value = valueStr !== undefined ? parseInt(valueStr, 10) : null;
+        const timeout = timeoutStr !== undefined ? parseInt(timeoutStr, 10) : defaultTimeout;
+        if ((valueStr !== undefined && isNaN(value)) || isNaN(timeout)) {
+            throw new Error(`Invalid wait condition "${part}"`);
+        }
+        return { type: type, value: value, timeout: timeout };
+    });
+
+    if (conditions.length === 0) {
+        throw new Error('At least one wait condition is required');
+    }
+
+    return { conditions: conditions, mode: mode };
+}
+
+// Helper function to find which jvxBase_ iframe each frame belongs to (its top-level ancestor under the main frame)
+async function getJvxBaseIdForFrame(page, frame, cache) {
+    let topFrame = frame;
+    while (topFrame.parentFrame() && topFrame.parentFrame() !== page.mainFrame()) {
+        topFrame = topFrame.parentFrame();
+    }
+    if (topFrame === page.mainFrame()) return null;
+    if (cache.has(topFrame)) return cache.get(topFrame);
+
+    let jvxBaseId = null;
+    try {
+        const frameElement = await topFrame.frameElement();
+        if (frameElement) {
+            const id = await frameElement.evaluate(el => el.id || '');
+            await frameElement.dispose();
+            jvxBaseId = id.startsWith('jvxBase_') ? id : null;
+        }
+    } catch (e) {
+        // Detached frame
+    }
+    cache.set(topFrame, jvxBaseId);
+    return jvxBaseId;
+}
+
+// Readiness checks: each returns true once its condition holds (state persists between polls of one condition)
+// elementPatterns are the element patterns of the scan (see resolveElementPatterns)
+const readinessChecks = {
+    'iframes': async (page, condition) => {
+        const counts = await page.evaluate(() => ({
+            iframes: document.querySelectorAll('iframe[id^="jvxBase_"]').length,
+            containers: document.getElementsByClassName('tagPreview previewFrameParent').length
+        }));
+        const expected = condition.value !== null ? condition.value : Math.max(counts.containers, 1);
+        return counts.iframes >= expected;
+    },
+    'hl-elements': async (page, condition, state, elementPatterns) => {
+        state.frameCache = state.frameCache || new Map();
+        const patternSources = (elementPatterns || DEFAULT_ELEMENT_PATTERNS).map(pattern => getElementPatternRegexSource(pattern.pattern));
+        const jvxBaseIds = await page.evaluate(() =>
+            Array.from(document.querySelectorAll('iframe[id^="jvxBase_"]')).map(f => f.id)
+        );
+        if (jvxBaseIds.length === 0) return false;
+
+        const readyIds = new Set();
+        for (const frame of page.frames()) {
+            if (frame === page.mainFrame()) continue;
+            try {
+                const hasElements = await frame.evaluate(sources => {
+                    const regexes = sources.map(source => new RegExp(source));
+                    return Array.from(document.querySelectorAll('[id]')).some(el => regexes.some(regex => regex.test(el.id)));
+                }, patternSources);
+                if (hasElements) {
+                    const jvxBaseId = await getJvxBaseIdForFrame(page, frame, state.frameCache);
+                    if (jvxBaseId) readyIds.add(jvxBaseId);
+                }
+            } catch (e) {
+                // Cross-origin or detached frame
+            }
+        }
+        return jvxBaseIds.every(id => readyIds.has(id));
+    },
+    'text-stable': async (page, condition, state) => {
+        const stableMs = condition.value !== null ? condition.value : 1500;
+        const texts = [];
+        for (const frame of page.frames()) {
+            try {
+                texts.push(await frame.evaluate(() => document.body ? document.body.innerText : ''));
+            } catch (e) {
+                // Cross-origin or detached frame
+            }
+        }
+        const snapshot = texts.join('\u0000');
+        const now = Date.now();
+        if (snapshot !== state.lastSnapshot) {
+            state.lastSnapshot = snapshot;
+            state.stableSince = now;
+            return false;
+        }
+        return snapshot.trim() !== '' && now - state.stableSince >= stableMs;
+    },
+    'fixed': async (page, condition, state) => {
+        const delayMs = condition.value !== null ? condition.value : 6000;
+        state.startedAt = state.startedAt || Date.now();
+        return Date.now() - state.startedAt >= delayMs;
+    }
+};
+
+// Helper function to wait until the creatives are ready according to the readiness options
+// Resolves with { mode, completedBy, waitedMs, conditions: [{ type, value, timeout, satisfied, timedOut, elapsedMs }] }
+async function waitForCreativeReadiness(page, readinessOptions, elementPatterns) {
+    const startedAt = Date.now();
+    const results = readinessOptions.conditions.map(condition => ({
+        ...condition,
+        satisfied: false,
+        timedOut: false,
+        elapsedMs: null
+    }));
+    let completedBy = null;
+
+    const waitForCondition = async (result) => {
+        const state = {};
+        while (!completedBy || readinessOptions.mode === 'all') {
+            const elapsed = Date.now() - startedAt;
+            try {
+                if (await readinessChecks[result.type](page, result, state, elementPatterns)) {
+                    result.satisfied = true;
+                    result.elapsedMs = Date.now() - startedAt;
+                    return result;
+                }
+            } catch (e) {
+                // Page still settling (e.g. execution context destroyed) - try again on the next poll
+            }
+            if (elapsed >= result.timeout) {
+                result.timedOut = true;
+                result.elapsedMs = elapsed;
+                return result;
+            }
+            await new Promise(r => setTimeout(r, READINESS_POLL_MS));
+        }
+        return result;
+    };
+
+    if (readinessOptions.mode === 'all') {
+        await Promise.all(results.map(waitForCondition));
+        if (results.every(r => r.satisfied)) {
+            // The last condition to be satisfied is the one that ended the wait
+            completedBy = results.reduce((last, r) => r.elapsedMs >= last.elapsedMs ? r : last).type;
+        }
+    } else {
+        await new Promise(resolve => {
+            let pending = results.length;
+            results.forEach(result => {
+                waitForCondition(result).then(() => {
+                    if (result.satisfied && !completedBy) {
+                        completedBy = result.type;
+                        resolve();
+                    } else if (--pending === 0) {
+                        resolve();
+                    }
+                });
+            });
+        });
+    }
+
+    return {
+        mode: readinessOptions.mode,
+        completedBy: completedBy,
+        waitedMs: Date.now() - startedAt,
+        conditions: results
+    };
+}
+
+// ============================================
+// CREATIVE SCREENSHOTS
+// ============================================
+// Screenshots taken during a scan are kept in memory and served from /api/screenshots/:id.png
+// The store is bounded by count and bytes; when it is full the oldest screenshots are dropped first
+const SCREENSHOT_TTL_MS = 60 * 60 * 1000;
+const SCREENSHOT_MAX_ENTRIES = parseInt(process.env.SCREENSHOT_MAX_ENTRIES) || 500;
+const SCREENSHOT_MAX_BYTES = (parseInt(process.env.SCREENSHOT_MAX_MB) || 200) * 1024 * 1024;
+const screenshotStore = new Map(); // id -> buffer, oldest first
+let screenshotStoreBytes = 0;
+
+// Helper function to drop a screenshot from the store
+function deleteScreenshot(id) {
+    const buffer = screenshotStore.get(id);
+    if (buffer) {
+        screenshotStoreBytes -= buffer.length;
+        screenshotStore.delete(id);
+    }
+}
+
+// Helper function to keep a screenshot for SCREENSHOT_TTL_MS (or until newer ones push it out) and return its URL
+function storeScreenshot(buffer) {
+    const id = crypto.randomUUID();
+    screenshotStore.set(id, buffer);
+    screenshotStoreBytes += buffer.length;
+    setTimeout(() => deleteScreenshot(id), SCREENSHOT_TTL_MS).unref();
+
+    // Evict the oldest screenshots (never the one just stored) until the store fits its limits again
+    for (const oldestId of screenshotStore.keys()) {
+        if (oldestId === id || (screenshotStore.size <= SCREENSHOT_MAX_ENTRIES && screenshotStoreBytes <= SCREENSHOT_MAX_BYTES)) {
+            break;
+        }
+        deleteScreenshot(oldestId);
+    }
+    return `/api/screenshots/${id}.png`;
+}
+
+// Helper function to screenshot the iframe element that hosts a frame (null for the main frame or on failure)
+async function captureFrameScreenshot(frame) {
+    let frameElement = null;
+    try {
+        frameElement = await frame.frameElement();
+        if (!frameElement) return null;
+        const buffer = await frameElement.screenshot({ type: 'png' });
+        return storeScreenshot(Buffer.from(buffer));
+    } catch (error) {
+        console.log('Error capturing frame screenshot:', error.message);
+        return null;
+    } finally {
+        if (frameElement) {
+            try { await frameElement.dispose(); } catch (e) { /* ignore */ }
+        }
+    }
+}
+
+// Serve a creative screenshot
+app.get('/api/screenshots/:id.png', (req, res) => {
+    const buffer = screenshotStore.get(req.params.id);
+    if (!buffer) {
+        return res.status(404).json({ ok: false, error: 'Screenshot not found or expired' });
+    }
+    res.type('png').send(buffer);
+});
+
+// ============================================
+// CREATIVE IMAGE ASSETS
+// ============================================
+// Every <img> and CSS background image in the scanned frames is checked: HTTP status (taken from the page's
+// network responses), load failure and natural vs rendered size. An image drawn larger than its natural size
+// is upscaled and looks blurry; IMAGE_UPSCALE_TOLERANCE allows for rounding. SVGs scale freely and are never upscaled.
+const IMAGE_UPSCALE_TOLERANCE = 1.01;
+const IMAGE_LOAD_TIMEOUT_MS = 5000;
+
+// Helper function to record the HTTP result of every image request of a page (url -> { status, contentType, failure })
+// Redirected requests are stored under every URL of the redirect chain
+function trackImageResponses(page) {
+    const imageResponses = new Map();
+    page.on('response', response => {
+        const request = response.request();
+        if (request.resourceType() !== 'image') return;
+        const result = { status: response.status(), contentType: response.headers()['content-type'] || '', failure: null };
+        imageResponses.set(response.url(), result);
+        request.redirectChain().forEach(redirect => imageResponses.set(redirect.url(), result));
+    });
+    page.on('requestfailed', request => {
+        if (request.resourceType() !== 'image') return;
+        imageResponses.set(request.url(), { status: null, contentType: '', failure: request.failure()?.errorText || 'Request failed' });
+    });
+    return imageResponses;
+}
+
+// Helper function to list the images of a frame with their network result and verdict (ok, failed or upscaled)
+async function collectFrameImageAssets(frame, imageResponses) {
+    const assets = await frame.evaluate(async (loadTimeout) => {
+        const describeElement = el => el.id
+            ? `#${el.id}`
+            : el.tagName.toLowerCase() + (typeof el.className === 'string' && el.className.trim() ? '.' + el.className.trim().split(/\s+/).join('.') : '');
+
+        // Size a background image is drawn at for the first value of background-size (cover, contain, auto, px, %)
+        function getBackgroundRenderedSize(sizeValue, box, natural) {
+            if (!natural.width || !natural.height) {
+                return { width: box.width, height: box.height };
+            }
+            const parts = sizeValue.trim().split(/\s+/);
+            if (parts[0] === 'cover' || parts[0] === 'contain') {
+                const scale = (parts[0] === 'cover' ? Math.max : Math.min)(box.width / natural.width, box.height / natural.height);
+                return { width: natural.width * scale, height: natural.height * scale };
+            }
+            const resolveLength = (token, boxLength) => {
+                if (token.endsWith('%')) return boxLength * parseFloat(token) / 100;
+                if (token.endsWith('px')) return parseFloat(token);
+                return null;
+            };
+            let width = resolveLength(parts[0], box.width);
+            let height = resolveLength(parts[1] || 'auto', box.height);
+            if (width === null && height === null) return { width: natural.width, height: natural.height };
+            if (width === null) width = natural.width * height / natural.height;
+            if (height === null) height = natural.height * width / natural.width;
+            return { width: width, height: height };
+        }
+
+        const assets = [];
+        document.querySelectorAll('img').forEach(img => {
+            const url = img.currentSrc || img.src;
+            if (!url) return;
+            const rect = img.getBoundingClientRect();
+            assets.push({
+                type: 'img',
+                url: url,
+                element: describeElement(img),
+                naturalWidth: img.naturalWidth,
+                naturalHeight: img.naturalHeight,
+                renderedWidth: Math.round(rect.width),
+                renderedHeight: Math.round(rect.height),
+                loaded: img.complete && img.naturalWidth > 0,
+                visible: rect.width > 0 && rect.height > 0
+            });
+        });
+
+        // CSS background images: each URL is loaded once more to read its natural size
+        const naturalSizes = new Map();
+        const loadImage = url => {
+            if (!naturalSizes.has(url)) {
+                naturalSizes.set(url, new Promise(resolve => {
+                    const image = new Image();
+                    const timer = setTimeout(() => resolve(null), loadTimeout);
+                    image.onload = () => {
+                        clearTimeout(timer);
+                        resolve({ width: image.naturalWidth, height: image.naturalHeight });
+                    };
+                    image.onerror = () => {
+                        clearTimeout(timer);
+                        resolve(null);
+                    };
+                    image.src = url;
+                }));
+            }
+            return naturalSizes.get(url);
+        };
+
+        const backgrounds = [];
+        document.querySelectorAll('*').forEach(el => {
+            const style = window.getComputedStyle(el);
+            if (!style.backgroundImage || style.backgroundImage === 'none') return;
+            // Split the layers on top-level commas (gradients have commas inside their parentheses)
+            const layers = [];
+            let depth = 0;
+            let current = '';
+            for (const ch of style.backgroundImage) {
+                if (ch === '(') depth++;
+                if (ch === ')') depth--;
+                if (ch === ',' && depth === 0) {
+                    layers.push(current);
+                    current = '';
+                } else {
+                    current += ch;
+                }
+            }
+            layers.push(current);
+            const sizes = style.backgroundSize.split(',');
+            layers.forEach((layer, index) => {
+                const urlMatch = layer.trim().match(/^url\(\s*(['"]?)(.*?)\1\s*\)$/);
+                if (urlMatch) {
+                    backgrounds.push({ el: el, url: urlMatch[2], backgroundSize: (sizes[index % sizes.length] || 'auto').trim() });
+                }
+            });
+        });
+
+        for (const background of backgrounds) {
+            const natural = await loadImage(background.url);
+            const rect = background.el.getBoundingClientRect();
+            const rendered = natural ? getBackgroundRenderedSize(background.backgroundSize, rect, natural) : { width: rect.width, height: rect.height };
+            assets.push({
+                type: 'background',
+                url: background.url,
+                element: describeElement(background.el),
+                backgroundSize: background.backgroundSize,
+                naturalWidth: natural ? natural.width : 0,
+                naturalHeight: natural ? natural.height : 0,
+                renderedWidth: Math.round(rendered.width),
+                renderedHeight: Math.round(rendered.height),
+                loaded: !!natural,
+                visible: rect.width > 0 && rect.height > 0
+            });
+        }
+
+        return assets;
+    }, IMAGE_LOAD_TIMEOUT_MS);
+
+    return assets.map(asset => {
+        const network = imageResponses.get(asset.url) || null;
+        const httpStatus = network ? network.status : null;
+        const isSvg = /^data:image\/svg/i.test(asset.url) || /\.svg(\?|#|$)/i.test(asset.url) || /svg/i.test(network?.contentType || '');
+        const failed = !asset.loaded || !!network?.failure || (httpStatus !== null && httpStatus >= 400);
+        const upscaled = !failed && !isSvg && asset.visible &&
+            (asset.renderedWidth > asset.naturalWidth * IMAGE_UPSCALE_TOLERANCE || asset.renderedHeight > asset.naturalHeight * IMAGE_UPSCALE_TOLERANCE);
+        let failure = null;
+        if (failed) {
+            failure = network?.failure || (httpStatus !== null && httpStatus >= 400 ? `HTTP ${httpStatus}` : 'Image did not load');
+        }
+        return {
+            ...asset,
+            httpStatus: httpStatus,
+            failure: failure,
+            scale: asset.naturalWidth > 0 ? Math.round(asset.renderedWidth / asset.naturalWidth * 100) / 100 : null,
+            upscaled: upscaled,
+            status: failed ? 'failed' : (upscaled ? 'upscaled' : 'ok')
+        };
+    });
+}
+
+// Scan a Jivox preview URL: count jvxBase_* iframes and collect the elements matching the element patterns per creative
+// options.readiness selects how to wait for the creatives (see parseReadinessOptions),
+// options.elementPatterns which element ids to scan (see resolveElementPatterns),
+// options.noBreakPhrases / options.market which phrases must render on one line (see resolveNoBreakPhrases)
+// reportProgress is called with { stage, message, ... } events while the scan runs (used by scan jobs)
+// Resolves with the /api/count response object, rejects with a user-facing error message
+async function runPreviewScan(url, options = {}, reportProgress = () => {}) {
+    let context;
+    let page;
+    const maxRetries = 3;
+    let lastError = null;
+
+    try {
+        // Get a fresh incognito context from the shared browser pool (waits if the pool is busy)
+        reportProgress({ stage: 'browser', message: 'Waiting for a browser...' });
+        context = await acquireBrowserContext();
+
+        page = await context.newPage();
+        const imageResponses = trackImageResponses(page);
+        
+        // Set longer timeout
+        page.setDefaultNavigationTimeout(90000);
+        page.setDefaultTimeout(90000);
+
+        // Try navigation with retries
+        let navigationSuccess = false;
+        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+            try {
+                console.log(`Navigation attempt ${attempt}/${maxRetries} for ${url}`);
+                reportProgress({ stage: 'navigation', message: `Loading preview page (attempt ${attempt}/${maxRetries})...`, attempt: attempt });
+                
+                // Wait for network idle as specified
+                await page.goto(url, { 
+                    waitUntil: 'networkidle0', 
+                    timeout: 90000 
+                });
+                
+                navigationSuccess = true;
+                console.log('Navigation successful (network idle)');
+                break;
+            } catch (navError) {
+                lastError = navError;
+                const errorMsg = navError.message || String(navError);
+                console.log(`Navigation attempt ${attempt} failed:`, errorMsg);
+                
+                // If it's a connection error, retry
+                if (errorMsg.includes('ECONNRESET') || 
+                    errorMsg.includes('ECONNREFUSED') ||
+                    errorMsg.includes('ETIMEDOUT') ||
+                    errorMsg.includes('net::ERR')) {
+                    if (attempt < maxRetries) {
+                        console.log(`Connection error, retrying in ${attempt * 2} seconds...`);
+                        await new Promise(r => setTimeout(r, attempt * 2000));
+                        continue;
+                    }
+                }
+                
+                // For other errors, still retry once
+                if (attempt < maxRetries) {
                     await new Promise(r => setTimeout(r, 2000));
                     continue;
                 }
@@ -470,9 +1833,16 @@ app.get('/api/count', async (req, res) => {
             throw new Error(`Failed to navigate to URL after ${maxRetries} attempts: ${lastError?.message || 'Unknown error'}`);
         }
 
-        // Wait for creative JS injection - 6 seconds fixed delay as specified
-        console.log('Waiting 6 seconds for Jivox JS creative injection...');
-        await new Promise(r => setTimeout(r, 6000));
+        // Wait for creative JS injection using the requested readiness conditions
+        const readinessOptions = options.readiness || parseReadinessOptions({});
+        const elementPatterns = options.elementPatterns || resolveElementPatterns();
+        const noBreakPhrases = options.noBreakPhrases || resolveNoBreakPhrases(options.market);
+        console.log(`Waiting for creatives (${readinessOptions.mode}): ${readinessOptions.conditions.map(c => c.type).join(', ')}`);
+        reportProgress({ stage: 'waiting', message: `Page loaded, waiting for creatives to render (${readinessOptions.conditions.map(c => c.type).join(` ${readinessOptions.mode === 'all' ? 'and' : 'or'} `)})...` });
+        const readiness = await waitForCreativeReadiness(page, readinessOptions, elementPatterns);
+        console.log(readiness.completedBy
+            ? `Creatives ready after ${readiness.waitedMs}ms (${readiness.completedBy})`
+            : `Readiness conditions timed out after ${readiness.waitedMs}ms, scanning anyway`);
 
         // ----------------------------
         // 0) Find previewVariationTitle elements to identify creatives
@@ -535,101 +1905,14 @@ app.get('/api/count', async (req, res) => {
 
         console.log(`Found ${previewVariationTitles.length} previewVariationTitle elements from tagPreview previewFrameParent containers`);
 
-        // ----------------------------
-        // 0.5) Associate frm1_HL_ elements with their parent creative (previewVariationTitle)
-        // ----------------------------
-        // We need to find frm1_HL_ elements and associate them with their parent previewVariationTitle
-        // by traversing the DOM structure
-        const creativeElementMap = new Map(); // Map creative title to its frm1_HL_ elements
+        // ============================================
+        // 3. DETECTION LOGIC
+        // ============================================
         
-        try {
-            // First, try to associate elements in the main page
-            const mainPageAssociations = await page.evaluate(() => {
-                const associations = [];
-                const titleElements = document.getElementsByClassName("previewVariationTitle");
-                
-                Array.from(titleElements).forEach((titleEl, titleIdx) => {
-                    const titleText = (titleEl.innerText || titleEl.textContent || '').trim();
-                    const cleanedTitle = titleText.replace(/^Preview\s+of\s+variation\s*/i, '').trim();
-                    
-                    if (!cleanedTitle) return;
-                    
-                    // Find the closest parent container that might contain frm1_HL_ elements
-                    // Look for frm1_HL_ elements in the same section/container as the title
-                    let container = titleEl.parentElement;
-                    let foundElements = [];
-                    
-                    // Try to find frm1_HL_ elements near this title
-                    // Look in parent containers up to 5 levels up
-                    for (let i = 0; i < 5 && container; i++) {
-                        const frm1Elements = container.querySelectorAll('[id^="frm1_HL_"]');
-                        if (frm1Elements.length > 0) {
-                            foundElements = Array.from(frm1Elements).map(el => ({
-                                id: el.id,
-                                tagName: el.tagName
-                            }));
-                            break;
-                        }
-                        container = container.parentElement;
-                    }
-                    
-                    // Also check siblings and next elements
-                    if (foundElements.length === 0) {
-                        let nextSibling = titleEl.nextElementSibling;
-                        for (let i = 0; i < 3 && nextSibling; i++) {
-                            const frm1Elements = nextSibling.querySelectorAll('[id^="frm1_HL_"]');
-                            if (frm1Elements.length > 0) {
-                                foundElements = Array.from(frm1Elements).map(el => ({
-                                    id: el.id,
-                                    tagName: el.tagName
-                                }));
-                                break;
-                            }
-                            nextSibling = nextSibling.nextElementSibling;
-                        }
-                    }
-                    
-                    // Deduplicate by ID
-                    const uniqueElements = [];
-                    const seenIds = new Set();
-                    foundElements.forEach(el => {
-                        if (el.id && !seenIds.has(el.id)) {
-                            seenIds.add(el.id);
-                            uniqueElements.push(el);
-                        }
-                    });
-                    
-                    if (cleanedTitle) {
-                        associations.push({
-                            title: cleanedTitle,
-                            elements: uniqueElements
-                        });
-                    }
-                });
-                
-                return associations;
-            });
-            
-            // Store associations
-            mainPageAssociations.forEach(assoc => {
-                if (!creativeElementMap.has(assoc.title)) {
-                    creativeElementMap.set(assoc.title, []);
-                }
-                creativeElementMap.get(assoc.title).push(...assoc.elements);
-            });
-            
-        } catch (evalError) {
-            console.log('Error associating elements with creatives:', evalError.message);
-        }
-
-        // ============================================
-        // 3. DETECTION LOGIC
-        // ============================================
-        
-        // A. Detect jvxBase_* iframes
-        // Scans the main document DOM
-        // Collects all <iframe> elements whose id starts with "jvxBase_"
-        let jvxFrames = [];
+        // A. Detect jvxBase_* iframes
+        // Scans the main document DOM
+        // Collects all <iframe> elements whose id starts with "jvxBase_"
+        let jvxFrames = [];
         try {
             jvxFrames = await page.evaluate(() => {
                 try {
@@ -646,6 +1929,7 @@ app.get('/api/count', async (req, res) => {
                 }
             });
             console.log(`Found ${jvxFrames.length} jvxBase_* iframes via DOM query`);
+            reportProgress({ stage: 'frames', message: `Found ${jvxFrames.length} creative iframe(s)`, count: jvxFrames.length });
         } catch (evalError) {
             console.log('Error evaluating jvxBase_ frames:', evalError.message);
             jvxFrames = [];
@@ -735,13 +2019,17 @@ app.get('/api/count', async (req, res) => {
 
         // B. Scan all frames (including nested iframes)
         // Iterates through every frame context using page.frames()
-        // Inside each frame: Searches for elements whose IDs start with frm1_HL_
+        // Inside each frame: Searches for elements whose IDs match the element patterns
         const frames = page.frames();
         const hlMatches = [];
+        const imageAssetsByFrame = []; // Images checked per frame, grouped per creative variation below
 
-        console.log(`Scanning ${frames.length} frames for frm1_HL_* elements...`);
+        console.log(`Scanning ${frames.length} frames for ${elementPatterns.map(pattern => `${pattern.pattern}*`).join(', ')} elements...`);
 
+        let scannedFrameCount = 0;
         for (const f of frames) {
+            scannedFrameCount++;
+            reportProgress({ stage: 'scanning', message: `Scanning frame ${scannedFrameCount}/${frames.length}...`, current: scannedFrameCount, total: frames.length });
             try {
                 let frameUrl, frameName;
                 
@@ -783,33 +2071,22 @@ app.get('/api/count', async (req, res) => {
                     console.log('Error matching frame to jvxBase_ ID:', matchError.message);
                 }
 
-                // Search for frm1_HL_*, frm2_HL_*, frm3_HL_*, frm4_HL_* and frm1_SL_*, frm2_SL_*, frm3_SL_*, frm4_SL_* elements in this frame
+                // Search for elements whose IDs match the element patterns (frm*_HL_, frm*_SL_, CTA_, ...) in this frame
                 // Also find creative variation name (previewVariationTitle)
-                let matches = null;
-                let matches2 = null;
-                let matches3 = null;
-                let matches4 = null;
-                let matchesSL1 = null;
-                let matchesSL2 = null;
-                let matchesSL3 = null;
-                let matchesSL4 = null;
+                let elements = null;
+                let renderedValues = null;
+                let adSize = '';
+                let annotationCount = 0;
                 let creativeVariation = '';
                 
                 try {
-                    const allMatches = await f.evaluate(() => {
+                    const allMatches = await f.evaluate((elementPatterns, noBreakPhrases) => {
                         try {
-                            // Mazda model names to check for line breaks
-                            // Only check models with spaces (can be split across lines)
-                            // Single-word models like "MAZDA6e" and "MAZDA3" cannot be split
-                            const mazdaModels = [
-                                'MAZDA CX-60',
-                                'MAZDA CX-30',
-                                'MAZDA2 HYBRID',
-                                'MAZDA CX-80',
-                                'MAZDA MX-5',
-                                'MAZDA CX-5',
-                                'MAZDA MX-30'
-                            ];
+                            // No-break phrase rules (see resolveNoBreakPhrases), compiled once per frame
+                            const phraseRules = noBreakPhrases.map(rule => ({
+                                ...rule,
+                                regex: new RegExp(rule.source, rule.flags + 'g')
+                            }));
                             
                             // Function to build normalized text and mapping
                             function buildNormalizedTextAndMap(element) {
@@ -849,171 +2126,297 @@ app.get('/api/count', async (req, res) => {
                                 return { normalized, mapping };
                             }
 
-                            // Function to create range for phrase
-                            function createRangeForPhraseRobust(element, phrase, occurrence = 0, caseInsensitive = false) {
-                                if (!element || !phrase) return null;
+                            // Function to find every occurrence of a phrase rule in an element and measure its line boxes
+                            function findPhraseOccurrences(element, rule) {
+                                const occurrences = [];
+                                if (!element) return occurrences;
 
                                 const { normalized, mapping } = buildNormalizedTextAndMap(element);
-                                if (normalized.length === 0) return null;
-
-                                const targetNorm = phrase.replace(/\s+/g, " ").trim();
-                                const searchNormalized = caseInsensitive ? normalized.toLowerCase() : normalized;
-                                const targetToSearch = caseInsensitive ? targetNorm.toLowerCase() : targetNorm;
-
-                                let idx = -1;
-                                let from = 0;
-                                for (let i = 0; i <= occurrence; i++) {
-                                    idx = searchNormalized.indexOf(targetToSearch, from);
-                                    if (idx === -1) break;
-                                    from = idx + targetToSearch.length;
-                                }
-                                if (idx === -1) return null;
-
-                                const startIndex = idx;
-                                const endIndex = idx + targetToSearch.length - 1;
-
-                                const startMap = mapping[startIndex];
-                                const endMap = mapping[endIndex];
-
-                                if (!startMap || !endMap) return null;
+                                if (normalized.length === 0) return occurrences;
 
-                                const startNode = startMap.node;
-                                const startOffset = startMap.offset;
-                                const endNode = endMap.node;
-                                const endOffset = endMap.offset + 1;
+                                rule.regex.lastIndex = 0;
+                                let match;
+                                while ((match = rule.regex.exec(normalized)) !== null) {
+                                    if (match[0].length === 0) {
+                                        rule.regex.lastIndex++;
+                                        continue;
+                                    }
 
-                                const range = document.createRange();
-                                try {
-                                    range.setStart(startNode, startOffset);
-                                    range.setEnd(endNode, endOffset);
-                                } catch (e) {
-                                    return null;
-                                }
+                                    const startMap = mapping[match.index];
+                                    const endMap = mapping[match.index + match[0].length - 1];
+                                    if (!startMap || !endMap) continue;
 
-                                return { range, startNode, startOffset, endNode, endOffset };
-                            }
-
-                            // Function to check if phrase is on single line
-                            function isPhraseSingleLineRobust(element, phrase, options = {}) {
-                                const { occurrence = 0, caseInsensitive = false } = options;
-                                const res = createRangeForPhraseRobust(element, phrase, occurrence, caseInsensitive);
+                                    const range = document.createRange();
+                                    try {
+                                        range.setStart(startMap.node, startMap.offset);
+                                        range.setEnd(endMap.node, endMap.offset + 1);
+                                    } catch (e) {
+                                        continue;
+                                    }
 
-                                if (!res) {
-                                    return { found: false, singleLine: null, rectsCount: 0, rects: [] };
+                                    const rectList = Array.from(range.getClientRects());
+                                    occurrences.push({
+                                        text: match[0],
+                                        singleLine: rectList.length === 1,
+                                        rectsCount: rectList.length,
+                                        rects: rectList
+                                    });
                                 }
-
-                                const rectList = Array.from(res.range.getClientRects());
-                                const rectsCount = rectList.length;
-                                const singleLine = rectsCount === 1;
-
-                                return { found: true, singleLine, rectsCount, rects: rectList };
+                                return occurrences;
                             }
 
-                            // Function to check element for Mazda model names and their line status
+                            // Function to check an element for the no-break phrases and their line status
+                            // Returns every occurrence found (statuses) and the ones split across lines (issues)
                             function checkElementForBrokenModels(element) {
                                 const issues = [];
-                                const allModels = []; // Track all found models for debugging
+                                const statuses = [];
                                 
-                                for (const model of mazdaModels) {
-                                    const result = isPhraseSingleLineRobust(element, model, { caseInsensitive: true });
-                                    if (result.found) {
-                                        allModels.push({
-                                            model: model,
+                                for (const rule of phraseRules) {
+                                    findPhraseOccurrences(element, rule).forEach(occurrence => {
+                                        statuses.push({
+                                            model: rule.label,
+                                            phraseType: rule.type,
+                                            text: occurrence.text,
                                             found: true,
-                                            singleLine: result.singleLine,
-                                            rectsCount: result.rectsCount
+                                            singleLine: occurrence.singleLine,
+                                            rectsCount: occurrence.rectsCount
                                         });
                                         
                                         // Only flag as broken if it's on multiple lines
-                                        if (!result.singleLine) {
+                                        if (!occurrence.singleLine) {
                                             issues.push({
-                                                model: model,
+                                                model: rule.label,
+                                                phraseType: rule.type,
+                                                text: occurrence.text,
                                                 found: true,
                                                 singleLine: false,
-                                                rectsCount: result.rectsCount
+                                                rectsCount: occurrence.rectsCount,
+                                                // Line boxes of the phrase in frame viewport coordinates (used to annotate screenshots)
+                                                rects: occurrence.rects.map(rect => ({
+                                                    x: rect.left,
+                                                    y: rect.top,
+                                                    width: rect.width,
+                                                    height: rect.height
+                                                }))
                                             });
                                         }
-                                    }
+                                    });
                                 }
                                 
                                 // Log for debugging
-                                if (allModels.length > 0) {
-                                    console.log(`Element ${element.id}: Found ${allModels.length} model(s):`, allModels.map(m => `${m.model} (${m.singleLine ? 'single line' : m.rectsCount + ' lines'})`));
+                                if (statuses.length > 0) {
+                                    console.log(`Element ${element.id}: Found ${statuses.length} phrase(s):`, statuses.map(m => `${m.text} (${m.singleLine ? 'single line' : m.rectsCount + ' lines'})`));
                                 }
                                 
-                                return issues;
+                                return { issues: issues, statuses: statuses };
+                            }
+
+                            // Function to read the computed font-size, line-height and font-family of an element in px
+                            function getFontStyle(element) {
+                                const computed = window.getComputedStyle(element);
+                                const fontSize = parseFloat(computed.fontSize);
+                                const lineHeight = parseFloat(computed.lineHeight); // NaN for "normal"
+                                return {
+                                    fontSize: isNaN(fontSize) ? null : fontSize,
+                                    lineHeight: isNaN(lineHeight) ? null : lineHeight,
+                                    lineHeightRaw: computed.lineHeight,
+                                    fontFamily: computed.fontFamily || ''
+                                };
+                            }
+
+                            // Function to detect copy that spills out of its box or out of the creative
+                            // Box: scrollWidth/scrollHeight larger than the client box (clipped when overflow is hidden/clip)
+                            // Bounds: line boxes of the text outside the frame viewport (the creative iframe)
+                            function getOverflowInfo(element) {
+                                const computed = window.getComputedStyle(element);
+                                const tolerance = 1; // sub-pixel rounding
+                                const hasBox = element.clientWidth > 0 || element.clientHeight > 0; // inline elements have no client box
+                                const overflowsX = hasBox && element.scrollWidth > element.clientWidth + tolerance;
+                                const overflowsY = hasBox && element.scrollHeight > element.clientHeight + tolerance;
+                                const clipsX = ['hidden', 'clip', 'scroll', 'auto'].includes(computed.overflowX);
+                                const clipsY = ['hidden', 'clip', 'scroll', 'auto'].includes(computed.overflowY);
+
+                                const range = document.createRange();
+                                range.selectNodeContents(element);
+                                const outOfBoundsRects = Array.from(range.getClientRects())
+                                    .filter(rect => rect.width > 0 && rect.height > 0)
+                                    .filter(rect => rect.left < -tolerance || rect.top < -tolerance ||
+                                        rect.right > window.innerWidth + tolerance || rect.bottom > window.innerHeight + tolerance)
+                                    .map(rect => ({ x: rect.left, y: rect.top, width: rect.width, height: rect.height }));
+
+                                const elementRect = element.getBoundingClientRect();
+                                return {
+                                    overflowing: overflowsX || overflowsY,
+                                    clipped: (overflowsX && clipsX) || (overflowsY && clipsY),
+                                    outOfBounds: outOfBoundsRects.length > 0,
+                                    scrollWidth: element.scrollWidth,
+                                    scrollHeight: element.scrollHeight,
+                                    clientWidth: element.clientWidth,
+                                    clientHeight: element.clientHeight,
+                                    overflowX: computed.overflowX,
+                                    overflowY: computed.overflowY,
+                                    frameWidth: window.innerWidth,
+                                    frameHeight: window.innerHeight,
+                                    rect: { x: elementRect.left, y: elementRect.top, width: elementRect.width, height: elementRect.height },
+                                    outOfBoundsRects: outOfBoundsRects
+                                };
+                            }
+
+                            // Function to find the closest scanned ancestor of an element (so nested matches aren't counted twice)
+                            function getScannedParentId(element, scannedElements) {
+                                let parent = element.parentElement;
+                                while (parent) {
+                                    if (scannedElements.has(parent)) return parent.id;
+                                    parent = parent.parentElement;
+                                }
+                                return null;
                             }
 
                             const processElements = (elements) => {
-                                return elements.map(el => {
+                                const scannedElements = new Set(elements.map(({ el }) => el));
+                                return elements.map(({ el, pattern, frameNumber }) => {
                                     try {
-                                        const brokenModels = checkElementForBrokenModels(el);
-                                        // Also check all models to get their status (for reporting)
-                                        const allModelStatuses = [];
-                                        for (const model of mazdaModels) {
-                                            const result = isPhraseSingleLineRobust(el, model, { caseInsensitive: true });
-                                            if (result.found) {
-                                                allModelStatuses.push({
-                                                    model: model,
-                                                    found: true,
-                                                    singleLine: result.singleLine,
-                                                    rectsCount: result.rectsCount
-                                                });
-                                            }
-                                        }
+                                        // Broken phrases plus the status of every phrase found (for reporting)
+                                        const phraseCheck = checkElementForBrokenModels(el);
+                                        const brokenModels = phraseCheck.issues;
+                                        const allModelStatuses = phraseCheck.statuses;
                                         return {
                                             id: el.id,
+                                            elementType: pattern.type,
+                                            frameNumber: frameNumber,
+                                            pattern: pattern.pattern,
+                                            // Copy of the element with whitespace collapsed (compared with the sheet copy)
+                                            text: (el.textContent || '').replace(/\s+/g, ' ').trim(),
+                                            parentId: getScannedParentId(el, scannedElements),
                                             outerHTML: el.outerHTML ? el.outerHTML.substring(0, 500) : '',
                                             brokenModels: brokenModels.length > 0 ? brokenModels : null,
-                                            allModelStatuses: allModelStatuses.length > 0 ? allModelStatuses : null
+                                            allModelStatuses: allModelStatuses.length > 0 ? allModelStatuses : null,
+                                            fontStyle: getFontStyle(el),
+                                            overflow: getOverflowInfo(el)
                                         };
                                     } catch (e) {
                                         console.log(`Error processing element ${el.id}:`, e.message);
                                         return {
                                             id: el.id,
+                                            elementType: pattern.type,
+                                            frameNumber: frameNumber,
+                                            pattern: pattern.pattern,
+                                            text: '',
+                                            parentId: null,
                                             outerHTML: '',
                                             brokenModels: null,
-                                            allModelStatuses: null
+                                            allModelStatuses: null,
+                                            fontStyle: null,
+                                            overflow: null
                                         };
                                     }
                                 });
                             };
                             
-                            // Find HL elements
-                            const frm1Elements = Array.from(document.querySelectorAll('[id^="frm1_HL_"]'));
-                            const frm2Elements = Array.from(document.querySelectorAll('[id^="frm2_HL_"]'));
-                            const frm3Elements = Array.from(document.querySelectorAll('[id^="frm3_HL_"]'));
-                            const frm4Elements = Array.from(document.querySelectorAll('[id^="frm4_HL_"]'));
+                            // Function to collect the rate (4,9 %) and price (€199, 1.299 kr) text rendered in the creative
+                            // Text is grouped by the closest element with an ID, so values split over <span>/<sup> stay together
+                            function extractRenderedValues() {
+                                if (!document.body) return [];
+                                const textByOwner = new Map();
+                                const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, null, false);
+                                let node;
+                                while ((node = walker.nextNode())) {
+                                    const parent = node.parentElement;
+                                    if (!parent || parent.closest('script, style, noscript')) continue;
+                                    const owner = parent.closest('[id]') || document.body;
+                                    textByOwner.set(owner, (textByOwner.get(owner) || '') + (node.nodeValue || ''));
+                                }
+
+                                const space = '[ \\u00A0\\u202F]?';
+                                const number = '\\d+(?:[.,\\u00A0\\u202F\' ]\\d{3})*(?:[.,]\\d+)?';
+                                const currency = '(?:€|£|\\$|CHF|kr\\.?|zł|Kč|Ft|lei|EUR|GBP)';
+                                const patterns = [
+                                    { type: 'rate', regex: new RegExp(`\\d+(?:[.,]\\d+)?${space}%`, 'g') },
+                                    { type: 'price', regex: new RegExp(`${currency}${space}${number}|${number}${space}${currency}`, 'g') }
+                                ];
+
+                                const values = [];
+                                textByOwner.forEach((text, owner) => {
+                                    const normalizedText = text.replace(/\s+/g, ' ').trim();
+                                    if (!/\d/.test(normalizedText)) return;
+                                    patterns.forEach(({ type, regex }) => {
+                                        (normalizedText.match(regex) || []).forEach(match => {
+                                            values.push({
+                                                type: type,
+                                                text: match.trim(),
+                                                elementId: owner.id || '',
+                                                context: normalizedText.substring(0, 200)
+                                            });
+                                        });
+                                    });
+                                });
+                                return values;
+                            }
+                            
+                            // Find elements matching the ID patterns; an element is matched by the first pattern that fits
+                            // "*" in a pattern stands for the frame number (frm*_HL_ matches frm1_HL_..., frm12_HL_...)
+                            const compiledPatterns = elementPatterns.map(pattern => ({
+                                ...pattern,
+                                regex: new RegExp('^' + pattern.pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace('*', '(\\d+)'))
+                            }));
+                            const matchedElements = [];
+                            document.querySelectorAll('[id]').forEach(el => {
+                                for (const pattern of compiledPatterns) {
+                                    const idMatch = el.id.match(pattern.regex);
+                                    if (idMatch) {
+                                        matchedElements.push({
+                                            el: el,
+                                            pattern: pattern,
+                                            frameNumber: idMatch[1] !== undefined ? parseInt(idMatch[1], 10) : null
+                                        });
+                                        break;
+                                    }
+                                }
+                            });
                             
-                            // Find SL elements
-                            const frm1SLElements = Array.from(document.querySelectorAll('[id^="frm1_SL_"]'));
-                            const frm2SLElements = Array.from(document.querySelectorAll('[id^="frm2_SL_"]'));
-                            const frm3SLElements = Array.from(document.querySelectorAll('[id^="frm3_SL_"]'));
-                            const frm4SLElements = Array.from(document.querySelectorAll('[id^="frm4_SL_"]'));
+                            // Function to outline broken model names (red) and overflowing elements (orange) on the page
+                            // so they show up in the creative screenshot
+                            // Outlines are removed again once the screenshot has been taken
+                            function annotateBrokenModels(elements) {
+                                let annotationCount = 0;
+                                elements.forEach(element => {
+                                    if (element.overflow && (element.overflow.overflowing || element.overflow.outOfBounds)) {
+                                        const rect = element.overflow.rect;
+                                        const box = document.createElement('div');
+                                        box.className = 'mazda-validator-annotation';
+                                        box.style.cssText = `position: fixed; left: ${rect.x - 2}px; top: ${rect.y - 2}px; width: ${rect.width + 4}px; height: ${rect.height + 4}px; border: 2px dashed #ff8c00; box-sizing: border-box; z-index: 2147483647; pointer-events: none;`;
+                                        document.body.appendChild(box);
+                                        annotationCount++;
+                                    }
+                                    (element.brokenModels || []).forEach(brokenModel => {
+                                        (brokenModel.rects || []).forEach(rect => {
+                                            const box = document.createElement('div');
+                                            box.className = 'mazda-validator-annotation';
+                                            box.style.cssText = `position: fixed; left: ${rect.x - 2}px; top: ${rect.y - 2}px; width: ${rect.width + 4}px; height: ${rect.height + 4}px; border: 2px solid #ff0000; box-sizing: border-box; z-index: 2147483647; pointer-events: none;`;
+                                            document.body.appendChild(box);
+                                            annotationCount++;
+                                        });
+                                    });
+                                });
+                                return annotationCount;
+                            }
                             
-                            return {
-                                frm1: processElements(frm1Elements),
-                                frm2: processElements(frm2Elements),
-                                frm3: processElements(frm3Elements),
-                                frm4: processElements(frm4Elements),
-                                frm1SL: processElements(frm1SLElements),
-                                frm2SL: processElements(frm2SLElements),
-                                frm3SL: processElements(frm3SLElements),
-                                frm4SL: processElements(frm4SLElements)
+                            const result = {
+                                elements: processElements(matchedElements),
+                                renderedValues: extractRenderedValues(),
+                                adSize: `${window.innerWidth}x${window.innerHeight}`
                             };
+                            result.annotationCount = annotateBrokenModels(result.elements);
+                            return result;
                         } catch (e) {
-                            return { frm1: [], frm2: [], frm3: [], frm4: [], frm1SL: [], frm2SL: [], frm3SL: [], frm4SL: [] };
+                            return { elements: [], renderedValues: [], adSize: '', annotationCount: 0 };
                         }
-                    });
+                    }, elementPatterns, noBreakPhrases);
                     
-                    matches = allMatches.frm1;
-                    matches2 = allMatches.frm2;
-                    matches3 = allMatches.frm3;
-                    matches4 = allMatches.frm4;
-                    matchesSL1 = allMatches.frm1SL;
-                    matchesSL2 = allMatches.frm2SL;
-                    matchesSL3 = allMatches.frm3SL;
-                    matchesSL4 = allMatches.frm4SL;
+                    elements = allMatches.elements;
+                    renderedValues = allMatches.renderedValues;
+                    adSize = allMatches.adSize || '';
+                    annotationCount = allMatches.annotationCount || 0;
                     
                     // PRIORITY 1: Get creative variation from the map using matched jvxBase_ ID (most reliable)
                     // This ensures we use the previewVariationTitle value from the main page
@@ -1071,14 +2474,9 @@ app.get('/api/count', async (req, res) => {
                 } catch (evalError) {
                     // Cross-origin or other access error
                     console.log(`Cannot access frame ${frameUrl} (likely cross-origin):`, evalError.message);
-                    matches = null;
-                    matches2 = null;
-                    matches3 = null;
-                    matches4 = null;
-                    matchesSL1 = null;
-                    matchesSL2 = null;
-                    matchesSL3 = null;
-                    matchesSL4 = null;
+                    elements = null;
+                    renderedValues = null;
+                    adSize = '';
                     creativeVariation = '';
                 }
 
@@ -1088,14 +2486,37 @@ app.get('/api/count', async (req, res) => {
                 // Check if it's a jvxBase_ frame (by name or matched ID)
                 const isJvxBaseFrame = (frameName && frameName.startsWith('jvxBase_')) || (matchedJvxBaseId !== null);
                 const hasValidCreativeVariation = creativeVariation && creativeVariation !== 'N/A' && creativeVariation !== '';
-                const hasElements = (matches && matches.length > 0) || 
-                                   (matches2 && matches2.length > 0) || 
-                                   (matches3 && matches3.length > 0) || 
-                                   (matches4 && matches4.length > 0) ||
-                                   (matchesSL1 && matchesSL1.length > 0) ||
-                                   (matchesSL2 && matchesSL2.length > 0) ||
-                                   (matchesSL3 && matchesSL3.length > 0) ||
-                                   (matchesSL4 && matchesSL4.length > 0);
+                const hasElements = !!(elements && elements.length > 0);
+                
+                // Capture the creative (with broken model names outlined) for the results table
+                let screenshots = [];
+                if (isJvxBaseFrame || hasElements) {
+                    const screenshotUrl = await captureFrameScreenshot(f);
+                    if (screenshotUrl) {
+                        screenshots = [{ url: screenshotUrl, annotationCount: annotationCount }];
+                    }
+                }
+                if (annotationCount > 0) {
+                    try {
+                        await f.evaluate(() => {
+                            document.querySelectorAll('.mazda-validator-annotation').forEach(el => el.remove());
+                        });
+                    } catch (e) {
+                        // Frame may have navigated away
+                    }
+                }
+                
+                // Check the images of creative frames (every frame when the page has no jvxBase_ iframes, e.g. a local test page)
+                if (isJvxBaseFrame || hasElements || jvxFrames.length === 0) {
+                    try {
+                        const images = await collectFrameImageAssets(f, imageResponses);
+                        if (images.length > 0) {
+                            imageAssetsByFrame.push({ creativeVariation: creativeVariation || 'N/A', frameUrl: frameUrl, images: images });
+                        }
+                    } catch (imageError) {
+                        console.log(`Cannot check images of frame ${frameUrl}:`, imageError.message);
+                    }
+                }
                 
                 // Add if it's a jvxBase_ frame (we'll filter invalid creative variations later)
                 // OR if it has elements found
@@ -1108,32 +2529,35 @@ app.get('/api/count', async (req, res) => {
                     if (existingIndex >= 0 && creativeVariation && creativeVariation !== 'N/A' && creativeVariation !== '') {
                         // Merge elements into existing entry
                         const existing = hlMatches[existingIndex];
-                        existing.matches = [...(existing.matches || []), ...(matches || [])];
-                        existing.matches2 = [...(existing.matches2 || []), ...(matches2 || [])];
-                        existing.matches3 = [...(existing.matches3 || []), ...(matches3 || [])];
-                        existing.matches4 = [...(existing.matches4 || []), ...(matches4 || [])];
-                        existing.matchesSL1 = [...(existing.matchesSL1 || []), ...(matchesSL1 || [])];
-                        existing.matchesSL2 = [...(existing.matchesSL2 || []), ...(matchesSL2 || [])];
-                        existing.matchesSL3 = [...(existing.matchesSL3 || []), ...(matchesSL3 || [])];
-                        existing.matchesSL4 = [...(existing.matchesSL4 || []), ...(matchesSL4 || [])];
+                        existing.elements = [...(existing.elements || []), ...(elements || [])];
+                        existing.renderedValues = [...(existing.renderedValues || []), ...(renderedValues || [])];
+                        existing.adSize = existing.adSize || adSize;
+                        existing.screenshots = [...(existing.screenshots || []), ...screenshots];
                         console.log(`Merged elements into existing entry for "${creativeVariation}"`);
                     } else {
                         hlMatches.push({
                             frameUrl: frameUrl,
                             frameName: frameName,
                             creativeVariation: creativeVariation || 'N/A',
-                            matches: matches || [],
-                            matches2: matches2 || [],
-                            matches3: matches3 || [],
-                            matches4: matches4 || [],
-                            matchesSL1: matchesSL1 || [],
-                            matchesSL2: matchesSL2 || [],
-                            matchesSL3: matchesSL3 || [],
-                            matchesSL4: matchesSL4 || []
+                            elements: elements || [],
+                            renderedValues: renderedValues || [],
+                            adSize: adSize,
+                            screenshots: screenshots
                         });
-                        const totalCount = (matches?.length || 0) + (matches2?.length || 0) + (matches3?.length || 0) + (matches4?.length || 0) +
-                                         (matchesSL1?.length || 0) + (matchesSL2?.length || 0) + (matchesSL3?.length || 0) + (matchesSL4?.length || 0);
-                        console.log(`Added frame ${frameName || frameUrl} (${creativeVariation || 'N/A'}): HL: frm1=${matches?.length || 0}, frm2=${matches2?.length || 0}, frm3=${matches3?.length || 0}, frm4=${matches4?.length || 0} | SL: frm1=${matchesSL1?.length || 0}, frm2=${matchesSL2?.length || 0}, frm3=${matchesSL3?.length || 0}, frm4=${matchesSL4?.length || 0} (total: ${totalCount})`);
+                        // Count elements per type and frame number for the log (e.g. HL: frm1=1, frm2=1 | CTA: 1)
+                        const elementCounts = {};
+                        (elements || []).forEach(el => {
+                            const frameKey = el.frameNumber !== null ? `frm${el.frameNumber}` : 'other';
+                            elementCounts[el.elementType] = elementCounts[el.elementType] || {};
+                            elementCounts[el.elementType][frameKey] = (elementCounts[el.elementType][frameKey] || 0) + 1;
+                        });
+                        const countSummary = Object.entries(elementCounts)
+                            .map(([type, counts]) => `${type}: ${Object.entries(counts).map(([frameKey, count]) => `${frameKey}=${count}`).join(', ')}`)
+                            .join(' | ');
+                        if (creativeVariation) {
+                            reportProgress({ stage: 'creative', message: `Scanned creative "${creativeVariation}"`, creativeVariation: creativeVariation });
+                        }
+                        console.log(`Added frame ${frameName || frameUrl} (${creativeVariation || 'N/A'}): ${countSummary || 'no elements'} (total: ${(elements || []).length})`);
                     }
                 } else {
                     console.log(`Skipped frame ${frameName || frameUrl}: not jvxBase_ and no elements found`);
@@ -1160,12 +2584,9 @@ app.get('/api/count', async (req, res) => {
             }
         }
 
-        // Close browser after detection
-        try {
-            await browser.close();
-        } catch (closeError) {
-            console.log('Error closing browser (non-critical):', closeError.message);
-        }
+        // Release the browser context after detection
+        await releaseBrowserContext(context);
+        context = null;
 
         // ============================================
         // 5. API RESPONSE STRUCTURE
@@ -1181,9 +2602,11 @@ app.get('/api/count', async (req, res) => {
         //     {
         //       "frameUrl": "...",
         //       "frameName": "...",
-        //       "matches": [
+        //       "elements": [
         //         {
         //           "id": "frm1_HL_xxx",
+        //           "elementType": "HL",
+        //           "frameNumber": 1,
         //           "outerHTML": "<div ...>"
         //         }
         //       ]
@@ -1198,14 +2621,7 @@ app.get('/api/count', async (req, res) => {
         
         (hlMatches || []).forEach(match => {
             const creativeVar = match.creativeVariation || '';
-            const hasElements = (match.matches && match.matches.length > 0) ||
-                               (match.matches2 && match.matches2.length > 0) ||
-                               (match.matches3 && match.matches3.length > 0) ||
-                               (match.matches4 && match.matches4.length > 0) ||
-                               (match.matchesSL1 && match.matchesSL1.length > 0) ||
-                               (match.matchesSL2 && match.matchesSL2.length > 0) ||
-                               (match.matchesSL3 && match.matchesSL3.length > 0) ||
-                               (match.matchesSL4 && match.matchesSL4.length > 0);
+            const hasElements = !!(match.elements && match.elements.length > 0);
             
             const isValidCreativeVar = creativeVar && 
                                      creativeVar !== 'N/A' && 
@@ -1223,14 +2639,10 @@ app.get('/api/count', async (req, res) => {
                     const existingIndex = validHlMatches.findIndex(m => m.creativeVariation === creativeVar);
                     if (existingIndex >= 0) {
                         const existing = validHlMatches[existingIndex];
-                        existing.matches = [...(existing.matches || []), ...(match.matches || [])];
-                        existing.matches2 = [...(existing.matches2 || []), ...(match.matches2 || [])];
-                        existing.matches3 = [...(existing.matches3 || []), ...(match.matches3 || [])];
-                        existing.matches4 = [...(existing.matches4 || []), ...(match.matches4 || [])];
-                        existing.matchesSL1 = [...(existing.matchesSL1 || []), ...(match.matchesSL1 || [])];
-                        existing.matchesSL2 = [...(existing.matchesSL2 || []), ...(match.matchesSL2 || [])];
-                        existing.matchesSL3 = [...(existing.matchesSL3 || []), ...(match.matchesSL3 || [])];
-                        existing.matchesSL4 = [...(existing.matchesSL4 || []), ...(match.matchesSL4 || [])];
+                        existing.elements = [...(existing.elements || []), ...(match.elements || [])];
+                        existing.renderedValues = [...(existing.renderedValues || []), ...(match.renderedValues || [])];
+                        existing.adSize = existing.adSize || match.adSize;
+                        existing.screenshots = [...(existing.screenshots || []), ...(match.screenshots || [])];
                     }
                 }
             } else if (hasElements) {
@@ -1246,47 +2658,99 @@ app.get('/api/count', async (req, res) => {
         // Collect all broken model issues from valid elements (after filtering)
         const brokenModels = [];
         const allModelStatuses = []; // Track all models found for comprehensive reporting
+        const fontSizeSpecs = resolveFontSizeSpecs();
+        const fontStyles = []; // Computed font style of every scanned element, checked against fontSizeSpecs
+        const overflowIssues = []; // Elements whose text overflows its box (clipped or spilling) or the creative iframe
         (validHlMatches || []).forEach(match => {
-            const allElementArrays = [
-                ...(match.matches || []),
-                ...(match.matches2 || []),
-                ...(match.matches3 || []),
-                ...(match.matches4 || []),
-                ...(match.matchesSL1 || []),
-                ...(match.matchesSL2 || []),
-                ...(match.matchesSL3 || []),
-                ...(match.matchesSL4 || [])
-            ];
-            
-            allElementArrays.forEach(element => {
+            (match.elements || []).forEach(element => {
                 if (element) {
                     // Track all model statuses (for comprehensive reporting)
                     if (element.allModelStatuses && element.allModelStatuses.length > 0) {
                         allModelStatuses.push({
                             creativeVariation: match.creativeVariation || 'N/A',
                             elementId: element.id || 'Unknown',
-                            elementType: element.id && element.id.includes('_HL_') ? 'HL' : 'SL',
+                            elementType: element.elementType,
+                            frameNumber: element.frameNumber,
                             modelStatuses: element.allModelStatuses,
                             outerHTML: element.outerHTML || ''
                         });
                     }
                     
+                    // Track font styles and font size spec violations
+                    if (element.fontStyle) {
+                        const fontCheck = checkFontSizeSpec(element.fontStyle, element.elementType, match.adSize, fontSizeSpecs);
+                        fontStyles.push({
+                            creativeVariation: match.creativeVariation || 'N/A',
+                            elementId: element.id || 'Unknown',
+                            elementType: element.elementType,
+                            frameNumber: element.frameNumber,
+                            adSize: match.adSize || 'Unknown',
+                            ...element.fontStyle,
+                            minFontSize: fontCheck.spec && fontCheck.spec.minFontSize !== undefined ? fontCheck.spec.minFontSize : null,
+                            hasSpec: fontCheck.spec !== null,
+                            issues: fontCheck.issues
+                        });
+                    }
+                    
                     // Track broken models separately (for the broken models table)
                     if (element.brokenModels && element.brokenModels.length > 0) {
                         brokenModels.push({
                             creativeVariation: match.creativeVariation || 'N/A',
                             elementId: element.id || 'Unknown',
-                            elementType: element.id && element.id.includes('_HL_') ? 'HL' : 'SL',
+                            elementType: element.elementType,
+                            frameNumber: element.frameNumber,
                             brokenModels: element.brokenModels,
-                            outerHTML: element.outerHTML || ''
+                            outerHTML: element.outerHTML || '',
+                            screenshots: match.screenshots || []
+                        });
+                    }
+                    
+                    // Track copy that overflows its box or the creative (same attribution as broken models)
+                    if (element.overflow && (element.overflow.overflowing || element.overflow.outOfBounds)) {
+                        overflowIssues.push({
+                            creativeVariation: match.creativeVariation || 'N/A',
+                            elementId: element.id || 'Unknown',
+                            elementType: element.elementType,
+                            frameNumber: element.frameNumber,
+                            overflow: element.overflow,
+                            outerHTML: element.outerHTML || '',
+                            screenshots: match.screenshots || []
                         });
                     }
                 }
             });
         });
+        console.log(`Found ${overflowIssues.length} elements with overflowing or clipped text`);
         
-        console.log(`Found ${allModelStatuses.length} elements with Mazda model names`);
-        console.log(`Found ${brokenModels.length} elements with broken Mazda model names (split across lines)`);
+        // Per phrase summary: did every occurrence render on one line?
+        const phraseStatuses = noBreakPhrases.map(rule => {
+            const occurrences = [];
+            allModelStatuses.forEach(item => {
+                item.modelStatuses.filter(status => status.model === rule.label).forEach(status => {
+                    occurrences.push({
+                        creativeVariation: item.creativeVariation,
+                        elementId: item.elementId,
+                        text: status.text,
+                        singleLine: status.singleLine,
+                        rectsCount: status.rectsCount
+                    });
+                });
+            });
+            const brokenCount = occurrences.filter(occurrence => !occurrence.singleLine).length;
+            return {
+                label: rule.label,
+                type: rule.type,
+                caseSensitive: rule.caseSensitive,
+                found: occurrences.length > 0,
+                singleLine: occurrences.length > 0 ? brokenCount === 0 : null,
+                occurrenceCount: occurrences.length,
+                brokenCount: brokenCount,
+                occurrences: occurrences
+            };
+        });
+        
+        console.log(`Found ${allModelStatuses.length} elements with no-break phrases`);
+        console.log(`Found ${brokenModels.length} elements with broken no-break phrases (split across lines)`);
         if (allModelStatuses.length > 0) {
             console.log('All model statuses:', allModelStatuses.map(ams => ({
                 creativeVariation: ams.creativeVariation,
@@ -1302,13 +2766,71 @@ app.get('/api/count', async (req, res) => {
             })));
         }
         
+        // Collect rendered rate / price values per creative variation (used by the Rate Card check)
+        const renderedValues = [];
+        (validHlMatches || []).forEach(match => {
+            const seenValues = new Set();
+            const values = (match.renderedValues || []).filter(value => {
+                const key = `${value.elementId}|${value.type}|${value.text}`;
+                if (seenValues.has(key)) return false;
+                seenValues.add(key);
+                return true;
+            });
+            if (values.length > 0) {
+                renderedValues.push({
+                    creativeVariation: match.creativeVariation || 'N/A',
+                    values: values
+                });
+            }
+        });
+        
+        console.log(`Found rendered rate/price values in ${renderedValues.length} creative variation(s)`);
+        
+        // Group font size spec violations per creative variation
+        const fontSizeViolations = [];
+        fontStyles.filter(style => style.issues.length > 0).forEach(style => {
+            let entry = fontSizeViolations.find(v => v.creativeVariation === style.creativeVariation);
+            if (!entry) {
+                entry = { creativeVariation: style.creativeVariation, adSize: style.adSize, violations: [] };
+                fontSizeViolations.push(entry);
+            }
+            entry.violations.push(style);
+        });
+        
+        console.log(`Found ${fontSizeViolations.length} creative variation(s) with font size violations`);
+        
+        // Group the checked images per creative variation
+        const imageAssets = [];
+        imageAssetsByFrame.forEach(frameAssets => {
+            let entry = imageAssets.find(e => e.creativeVariation === frameAssets.creativeVariation);
+            if (!entry) {
+                entry = { creativeVariation: frameAssets.creativeVariation, images: [], failedCount: 0, upscaledCount: 0 };
+                imageAssets.push(entry);
+            }
+            frameAssets.images.forEach(image => {
+                entry.images.push({ ...image, frameUrl: frameAssets.frameUrl });
+                if (image.status === 'failed') entry.failedCount++;
+                if (image.status === 'upscaled') entry.upscaledCount++;
+            });
+        });
+        console.log(`Checked ${imageAssets.reduce((sum, e) => sum + e.images.length, 0)} images: ${imageAssets.reduce((sum, e) => sum + e.failedCount, 0)} failed, ${imageAssets.reduce((sum, e) => sum + e.upscaledCount, 0)} upscaled`);
+        
         const response = {
             ok: true,
             count: jvxFrames.length,
             frames: jvxFrames || [],
             hlMatches: validHlMatches,
             brokenModels: brokenModels,
-            allModelStatuses: allModelStatuses
+            allModelStatuses: allModelStatuses,
+            readiness: readiness,
+            elementPatterns: elementPatterns,
+            market: options.market ? String(options.market).trim().toUpperCase() : null,
+            phraseStatuses: phraseStatuses,
+            renderedValues: renderedValues,
+            fontStyles: fontStyles,
+            fontSizeViolations: fontSizeViolations,
+            overflowIssues: overflowIssues,
+            imageAssets: imageAssets
         };
         
         console.log('Sending response:', {
@@ -1328,854 +2850,1124 @@ app.get('/api/count', async (req, res) => {
             console.log(`Creative variation map entries:`, Array.from(creativeVariationMap.entries()));
         }
         
-        return res.json(response);
-        const allHLElements = [];
-        const allHLElements2 = [];
-        const allHLElements3 = [];
-        const allHLElements4 = [];
-        const uniqueElementIds = new Set();
-        const uniqueElementIds2 = new Set();
-        const uniqueElementIds3 = new Set();
-        const uniqueElementIds4 = new Set();
-        const usedElementIds = new Set(); // Track which frm1 elements have been assigned to creatives
-        const usedElementIds2 = new Set(); // Track which frm2 elements have been assigned to creatives
-        const usedElementIds3 = new Set(); // Track which frm3 elements have been assigned to creatives
-        const usedElementIds4 = new Set(); // Track which frm4 elements have been assigned to creatives
+        return response;
+
+    } catch (err) {
+        console.error('Error in preview scan:', err);
+        console.error('Error stack:', err.stack);
+        console.error('Error details:', {
+            message: err.message,
+            name: err.name,
+            code: err.code
+        });
         
-        // Collect all frm1_HL_*, frm2_HL_*, frm3_HL_*, and frm4_HL_* elements BY JVXBASE_ IFRAME ID
-        // Each jvxBase_ iframe has its own elements, so we need to track which iframe ID they came from
-        const elementsByJvxBaseId = new Map(); // Map jvxBase_* iframe ID to elements
+        if (context) {
+            await releaseBrowserContext(context);
+            context = null;
+        }
         
-        console.log(`\n=== COLLECTING ELEMENTS BY JVXBASE_ IFRAME ID ===`);
+        // Provide more helpful error messages
+        let errorMessage = err.message || 'Unknown error';
+        if (errorMessage.includes('ECONNRESET')) {
+            errorMessage = 'Connection was reset by the server. The website may be blocking automated requests, the URL may be unreachable, or there may be network issues. Please try again or check if the URL is accessible.';
+        } else if (errorMessage.includes('ECONNREFUSED')) {
+            errorMessage = 'Connection refused. The server may be down or the URL may be incorrect.';
+        } else if (errorMessage.includes('ETIMEDOUT') || errorMessage.includes('timeout')) {
+            errorMessage = 'Request timed out. The website took too long to respond. Please try again.';
+        } else if (errorMessage.includes('net::ERR')) {
+            errorMessage = `Network error: ${errorMessage}. Please check if the URL is correct and accessible.`;
+        } else if (errorMessage.includes('Protocol error') || errorMessage.includes('Target closed')) {
+            errorMessage = 'Browser connection lost. This may happen if the page takes too long to load. Please try again.';
+        } else if (errorMessage.includes('Navigation failed')) {
+            errorMessage = `Navigation failed: ${errorMessage}. The page may be blocking automated access or may require authentication.`;
+        }
         
-        // Collect elements and group them by jvxBase_* iframe ID (not index!)
-        hlMatches.forEach((hlMatch, hlMatchIndex) => {
-            // Get the jvxBase_* iframe ID from the frame name
-            let jvxBaseId = '';
-            if (hlMatch.frameName && hlMatch.frameName.startsWith('jvxBase_')) {
-                jvxBaseId = hlMatch.frameName; // Use the full frame name as ID (e.g., "jvxBase_6978809ad0eb8")
-            } else if (hlMatch.frameUrl) {
-                // Try to extract from URL or frame info
-                // Sometimes the frame name might be in the URL or other properties
-                const urlMatch = hlMatch.frameUrl.match(/jvxBase_[\w]+/);
-                if (urlMatch) {
-                    jvxBaseId = urlMatch[0];
-                }
-            }
-            
-            // If we still don't have an ID, skip this match (it's not a jvxBase_ frame)
-            if (!jvxBaseId) {
-                console.log(`Skipping frame ${hlMatchIndex}: Not a jvxBase_ frame (frameName: ${hlMatch.frameName || 'N/A'})`);
-                return;
-            }
-            
-            console.log(`Processing jvxBase_ frame: ${jvxBaseId}`);
-            
-            // Initialize the map entry for this jvxBase_ ID if it doesn't exist
-            if (!elementsByJvxBaseId.has(jvxBaseId)) {
-                elementsByJvxBaseId.set(jvxBaseId, { frm1: [], frm2: [], frm3: [], frm4: [] });
-            }
-            
-            // Collect frm1_HL_* elements and store by jvxBase_ ID
-            if (hlMatch.matches && hlMatch.matches.length > 0) {
-                hlMatch.matches.forEach(match => {
-                    if (match.id && !uniqueElementIds.has(match.id)) {
-                        uniqueElementIds.add(match.id);
-                        const elementWithFrame = {
-                            ...match,
-                            frameUrl: hlMatch.frameUrl || '',
-                            frameName: hlMatch.frameName || '',
-                            jvxBaseId: jvxBaseId
-                        };
-                        allHLElements.push(elementWithFrame);
-                        elementsByJvxBaseId.get(jvxBaseId).frm1.push(elementWithFrame);
-                        console.log(`  Added frm1 element ${match.id} to ${jvxBaseId}`);
-                    }
-                });
-            }
-            
-            // Collect frm2_HL_* elements and store by jvxBase_ ID
-            if (hlMatch.matches2 && hlMatch.matches2.length > 0) {
-                hlMatch.matches2.forEach(match => {
-                    if (match.id && !uniqueElementIds2.has(match.id)) {
-                        uniqueElementIds2.add(match.id);
-                        const elementWithFrame = {
-                            ...match,
-                            frameUrl: hlMatch.frameUrl || '',
-                            frameName: hlMatch.frameName || '',
-                            jvxBaseId: jvxBaseId
-                        };
-                        allHLElements2.push(elementWithFrame);
-                        elementsByJvxBaseId.get(jvxBaseId).frm2.push(elementWithFrame);
-                        console.log(`  Added frm2 element ${match.id} to ${jvxBaseId}`);
-                    }
-                });
-            }
-            
-            // Collect frm3_HL_* elements and store by jvxBase_ ID
-            if (hlMatch.matches3 && hlMatch.matches3.length > 0) {
-                hlMatch.matches3.forEach(match => {
-                    if (match.id && !uniqueElementIds3.has(match.id)) {
-                        uniqueElementIds3.add(match.id);
-                        const elementWithFrame = {
-                            ...match,
-                            frameUrl: hlMatch.frameUrl || '',
-                            frameName: hlMatch.frameName || '',
-                            jvxBaseId: jvxBaseId
-                        };
-                        allHLElements3.push(elementWithFrame);
-                        elementsByJvxBaseId.get(jvxBaseId).frm3.push(elementWithFrame);
-                        console.log(`  Added frm3 element ${match.id} to ${jvxBaseId}`);
-                    }
-                });
-            }
-            
-            // Collect frm4_HL_* elements and store by jvxBase_ ID
-            if (hlMatch.matches4 && hlMatch.matches4.length > 0) {
-                hlMatch.matches4.forEach(match => {
-                    if (match.id && !uniqueElementIds4.has(match.id)) {
-                        uniqueElementIds4.add(match.id);
-                        const elementWithFrame = {
-                            ...match,
-                            frameUrl: hlMatch.frameUrl || '',
-                            frameName: hlMatch.frameName || '',
-                            jvxBaseId: jvxBaseId
-                        };
-                        allHLElements4.push(elementWithFrame);
-                        elementsByJvxBaseId.get(jvxBaseId).frm4.push(elementWithFrame);
-                        console.log(`  Added frm4 element ${match.id} to ${jvxBaseId}`);
-                    }
-                });
-            }
-        });
+        // Log the full error for debugging
+        console.error('Preview scan failed:', errorMessage);
         
-        console.log(`\nElements grouped by jvxBase_ iframe ID:`);
-        elementsByJvxBaseId.forEach((elements, jvxBaseId) => {
-            console.log(`  ${jvxBaseId}: frm1=${elements.frm1.length}, frm2=${elements.frm2.length}, frm3=${elements.frm3.length}, frm4=${elements.frm4.length}`);
+        throw new Error(errorMessage);
+    }
+}
+
+// API endpoint to count jvxBase_* iframes and scan the elements matching the element patterns
+app.get('/api/count', async (req, res) => {
+    const url = req.query.url;
+    if (!url) return res.status(400).json({ ok: false, error: 'Missing ?url=' });
+
+    let readiness;
+    let elementPatterns;
+    let noBreakPhrases;
+    try {
+        readiness = parseReadinessOptions(req.query);
+        elementPatterns = resolveElementPatterns(req.query.patterns);
+        noBreakPhrases = resolveNoBreakPhrases(req.query.market, req.query.phrases);
+    } catch (optionError) {
+        return res.status(400).json({ ok: false, error: optionError.message });
+    }
+
+    try {
+        const response = await runPreviewScan(url, { readiness: readiness, elementPatterns: elementPatterns, noBreakPhrases: noBreakPhrases, market: req.query.market });
+        return res.json(response);
+    } catch (err) {
+        return res.status(500).json({ ok: false, error: err.message });
+    }
+});
+
+// ============================================
+// SCAN JOBS
+// ============================================
+// Long preview scans run in the background: POST /api/scan-jobs returns a job id right away,
+// GET /api/scan-jobs/:jobId/events streams progress (Server-Sent Events, past events are replayed on connect)
+// and GET /api/scan-jobs/:jobId returns the status and, once finished, the /api/count result.
+// Jobs are kept in memory for SCAN_JOB_TTL_MS after they finish.
+const SCAN_JOB_TTL_MS = 60 * 60 * 1000;
+const scanJobs = new Map();
+
+// Helper function to send one Server-Sent Event
+function writeScanJobEvent(res, event) {
+    res.write(`event: ${event.type}\n`);
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+}
+
+// Helper function to record a job event and push it to every connected listener
+function emitScanJobEvent(job, type, data) {
+    const event = { type: type, time: new Date().toISOString(), ...data };
+    job.events.push(event);
+    job.listeners.forEach(listener => writeScanJobEvent(listener, event));
+}
+
+// Helper function to end all event streams of a finished job and schedule its cleanup
+function finishScanJob(job) {
+    job.finishedAt = new Date().toISOString();
+    job.listeners.forEach(listener => listener.end());
+    job.listeners.clear();
+    setTimeout(() => scanJobs.delete(job.id), SCAN_JOB_TTL_MS).unref();
+}
+
+// Create a scan job
+app.post('/api/scan-jobs', (req, res) => {
+    const url = req.body?.url;
+    if (!url) {
+        return res.status(400).json({ ok: false, error: 'Missing url in request body' });
+    }
+    try {
+        new URL(url);
+    } catch (e) {
+        return res.status(400).json({ ok: false, error: 'Invalid url' });
+    }
+
+    let readiness;
+    let elementPatterns;
+    let noBreakPhrases;
+    try {
+        readiness = parseReadinessOptions(req.body);
+        elementPatterns = resolveElementPatterns(req.body.patterns);
+        noBreakPhrases = resolveNoBreakPhrases(req.body.market, req.body.phrases);
+    } catch (optionError) {
+        return res.status(400).json({ ok: false, error: optionError.message });
+    }
+
+    const job = {
+        id: crypto.randomUUID(),
+        url: url,
+        status: 'running',
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        events: [],
+        listeners: new Set(),
+        result: null,
+        error: null
+    };
+    scanJobs.set(job.id, job);
+    emitScanJobEvent(job, 'progress', { stage: 'queued', message: 'Scan queued' });
+
+    runPreviewScan(url, { readiness: readiness, elementPatterns: elementPatterns, noBreakPhrases: noBreakPhrases, market: req.body.market }, progress => emitScanJobEvent(job, 'progress', progress))
+        .then(result => {
+            job.status = 'completed';
+            job.result = result;
+            emitScanJobEvent(job, 'completed', { stage: 'done', message: 'Scan completed' });
+        })
+        .catch(error => {
+            job.status = 'failed';
+            job.error = error.message;
+            emitScanJobEvent(job, 'failed', { stage: 'failed', message: error.message });
+        })
+        .finally(() => finishScanJob(job));
+
+    res.status(202).json({ ok: true, jobId: job.id, status: job.status });
+});
+
+// Stream scan job progress as Server-Sent Events
+app.get('/api/scan-jobs/:jobId/events', (req, res) => {
+    const job = scanJobs.get(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ ok: false, error: 'Scan job not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    // Replay what happened so far, so a reconnecting page catches up
+    job.events.forEach(event => writeScanJobEvent(res, event));
+
+    if (job.status !== 'running') {
+        return res.end();
+    }
+
+    job.listeners.add(res);
+    req.on('close', () => job.listeners.delete(res));
+});
+
+// Get scan job status and result
+app.get('/api/scan-jobs/:jobId', (req, res) => {
+    const job = scanJobs.get(req.params.jobId);
+    if (!job) {
+        return res.status(404).json({ ok: false, error: 'Scan job not found' });
+    }
+
+    res.json({
+        ok: true,
+        jobId: job.id,
+        url: job.url,
+        status: job.status,
+        createdAt: job.createdAt,
+        finishedAt: job.finishedAt,
+        lastEvent: job.events[job.events.length - 1] || null,
+        result: job.result,
+        error: job.error
+    });
+});
+
+// ============================================
+// URL PROBING
+// ============================================
+// POST /api/probe-urls requests every URL found in a sheet and reports what a browser would get:
+// final status, redirect chain, final scheme and response time. HEAD is tried first; servers that reject
+// or fail HEAD are asked again with GET (the body is not downloaded). URL_PROBE_CONCURRENCY requests run at once.
+const URL_PROBE_CONCURRENCY = parseInt(process.env.URL_PROBE_CONCURRENCY, 10) || 5;
+const URL_PROBE_TIMEOUT_MS = 10000;
+const URL_PROBE_MAX_REDIRECTS = 10;
+const URL_PROBE_MAX_URLS = 1000;
+// Hosts that should never end up in a live creative
+const STAGING_HOST_PATTERN = /(^|[.-])(staging|stage|stg|dev|test|qa|uat|preprod|preview)([.-]|$)|^localhost$|^127\.|^10\.|^192\.168\./i;
+
+// Helper function to run fn on every item with at most limit calls at once (results in the order of items)
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// Helper function to follow one URL hop by hop with the given method
+async function followUrlRedirects(url, method) {
+    const redirectChain = [];
+    let currentUrl = url;
+    for (let hop = 0; hop <= URL_PROBE_MAX_REDIRECTS; hop++) {
+        const response = await fetch(currentUrl, {
+            method: method,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(URL_PROBE_TIMEOUT_MS),
+            headers: { 'User-Agent': 'Mozilla/5.0 (compatible; MazdaValidator URL check)' }
         });
+        if (response.body) {
+            response.body.cancel().catch(() => {});
+        }
+        const location = response.headers.get('location');
+        if (response.status >= 300 && response.status < 400 && location) {
+            redirectChain.push({ url: currentUrl, status: response.status });
+            currentUrl = new URL(location, currentUrl).toString();
+            continue;
+        }
+        return { finalUrl: currentUrl, finalStatus: response.status, redirectChain: redirectChain };
+    }
+    throw new Error(`More than ${URL_PROBE_MAX_REDIRECTS} redirects`);
+}
 
-        console.log(`\n=== ELEMENT COLLECTION SUMMARY ===`);
-        console.log(`Collected ${allHLElements.length} unique frm1_HL_* elements from ${hlMatches.length} frames`);
-        console.log(`Collected ${allHLElements2.length} unique frm2_HL_* elements from ${hlMatches.length} frames`);
-        console.log(`Collected ${allHLElements3.length} unique frm3_HL_* elements from ${hlMatches.length} frames`);
-        console.log(`Collected ${allHLElements4.length} unique frm4_HL_* elements from ${hlMatches.length} frames`);
-        console.log(`\nAvailable frm1 element IDs (${allHLElements.length} total):`, allHLElements.map((el, idx) => `${idx}:${el.id}`));
-        console.log(`Available frm2 element IDs (${allHLElements2.length} total):`, allHLElements2.map((el, idx) => `${idx}:${el.id}`));
-        console.log(`Available frm3 element IDs (${allHLElements3.length} total):`, allHLElements3.map((el, idx) => `${idx}:${el.id}`));
-        console.log(`Available frm4 element IDs (${allHLElements4.length} total):`, allHLElements4.map((el, idx) => `${idx}:${el.id}`));
-        console.log(`=====================================\n`);
-
-        // NEW APPROACH: Search for frm1_HL_, frm2_HL_, frm3_HL_, and frm4_HL_ elements in the same context as each creative title
-        // This will be done by searching in ALL frames for each title
-        const creativeElementAssociations = new Map(); // Map creative title to frm1 element IDs
-        const creativeElementAssociations2 = new Map(); // Map creative title to frm2 element IDs
-        const creativeElementAssociations3 = new Map(); // Map creative title to frm3 element IDs
-        const creativeElementAssociations4 = new Map(); // Map creative title to frm4 element IDs
-        const titleFrameMap = new Map(); // Map creative title to its frame URL
-        
-        // Search for elements in the context of each creative title across ALL frames
-        // NEW APPROACH: Find tagPreview previewFrameParent containers and search within each
-        const allFramesForSearch = page.frames();
-        for (const f of allFramesForSearch) {
-            try {
-                const frameUrl = f.url();
-                const frameAssociations = await f.evaluate(() => {
-                    const results = [];
-                    
-                    // Find all tagPreview previewFrameParent containers
-                    const previewContainers = document.getElementsByClassName("tagPreview previewFrameParent");
-                    console.log(`Found ${previewContainers.length} tagPreview previewFrameParent containers`);
-                    
-                    Array.from(previewContainers).forEach((container, containerIndex) => {
-                        // Find previewVariationTitle within this container
-                        const titleEl = container.querySelector(".previewVariationTitle");
-                        if (!titleEl) {
-                            console.log(`Container ${containerIndex}: No previewVariationTitle found`);
-                            return;
-                        }
-                        
-                        const titleText = (titleEl.innerText || titleEl.textContent || '').trim();
-                        const cleanedTitle = titleText.replace(/^Preview\s+of\s+variation\s*/i, '').trim();
-                        
-                        if (!cleanedTitle) {
-                            console.log(`Container ${containerIndex}: Empty title`);
-                            return;
-                        }
-                        
-                        // CRITICAL: Find the jvxBase_* iframe ID within this container
-                        // This is the key to matching elements correctly
-                        const jvxBaseIframe = container.querySelector('iframe[id^="jvxBase_"]');
-                        const jvxBaseIframeId = jvxBaseIframe ? (jvxBaseIframe.id || '') : '';
-                        
-                        console.log(`Container ${containerIndex} (${cleanedTitle}): Found jvxBase_ iframe ID: ${jvxBaseIframeId || 'NOT FOUND'}`);
-                        
-                        // Skip if we already have this title in results (but allow duplicates if they're in different containers)
-                        // We'll handle deduplication later based on container index
-                        
-                        let foundElementIds = [];
-                        let foundElementIds2 = [];
-                        let foundElementIds3 = [];
-                        let foundElementIds4 = [];
-                        
-                        // Search for elements WITHIN this tagPreview previewFrameParent container
-                        // IMPORTANT: Elements are likely in iframes (jvxBase_*), so we need to search those too
-                        const searchForElements = (prefix) => {
-                            let found = [];
-                            
-                            // Strategy 1: Search within the container first (most specific)
-                            const elementsInContainer = container.querySelectorAll(`[id^="${prefix}"]`);
-                            if (elementsInContainer.length > 0) {
-                                found = Array.from(elementsInContainer).map(el => el.id).filter(id => id);
-                                console.log(`Container ${containerIndex} (${cleanedTitle}): Found ${found.length} ${prefix} elements directly in container`);
-                                return found;
-                            }
-                            
-                            // Strategy 2: Search in iframes within this container
-                            // Find all iframes (especially jvxBase_*) within this container
-                            const iframesInContainer = container.querySelectorAll('iframe');
-                            console.log(`Container ${containerIndex} (${cleanedTitle}): Found ${iframesInContainer.length} iframes in container`);
-                            
-                            // Note: We can't access iframe content from main frame due to cross-origin restrictions
-                            // So we'll use index-based matching instead
-                            // But first, let's try to find elements by searching the container's DOM tree
-                            
-                            // Strategy 3: Search from titleEl upward within container
-                            let current = titleEl;
-                            for (let i = 0; i < 30 && current; i++) {
-                                // Check if we've gone outside the container
-                                if (!container.contains(current)) break;
-                                
-                                const elements = current.querySelectorAll(`[id^="${prefix}"]`);
-                                if (elements.length > 0) {
-                                    found = Array.from(elements).map(el => el.id).filter(id => id);
-                                    console.log(`Container ${containerIndex} (${cleanedTitle}): Found ${found.length} ${prefix} elements in DOM tree`);
-                                    break;
-                                }
-                                current = current.parentElement;
-                                if (!current) break;
-                            }
-                            
-                            // Strategy 4: Check next siblings within container
-                            if (found.length === 0) {
-                                let sibling = titleEl.nextElementSibling;
-                                for (let i = 0; i < 30 && sibling; i++) {
-                                    if (!container.contains(sibling)) break;
-                                    const elements = sibling.querySelectorAll(`[id^="${prefix}"]`);
-                                    if (elements.length > 0) {
-                                        found = Array.from(elements).map(el => el.id).filter(id => id);
-                                        break;
-                                    }
-                                    sibling = sibling.nextElementSibling;
-                                    if (!sibling) break;
-                                }
-                            }
-                            
-                            // Strategy 5: Check previous siblings within container
-                            if (found.length === 0) {
-                                let sibling = titleEl.previousElementSibling;
-                                for (let i = 0; i < 30 && sibling; i++) {
-                                    if (!container.contains(sibling)) break;
-                                    const elements = sibling.querySelectorAll(`[id^="${prefix}"]`);
-                                    if (elements.length > 0) {
-                                        found = Array.from(elements).map(el => el.id).filter(id => id);
-                                        break;
-                                    }
-                                    sibling = sibling.previousElementSibling;
-                                    if (!sibling) break;
-                                }
-                            }
-                            
-                            // Strategy 6: If no elements found in container DOM, return empty
-                            // We'll rely on index-based matching in the association function
-                            // This is because elements are in iframes which we can't access from main frame
-                            if (found.length === 0) {
-                                console.log(`Container ${containerIndex} (${cleanedTitle}): No ${prefix} elements found in container DOM (likely in iframe)`);
-                            }
-                            
-                            return found;
-                        };
-                        
-                        foundElementIds = searchForElements('frm1_HL_');
-                        foundElementIds2 = searchForElements('frm2_HL_');
-                        foundElementIds3 = searchForElements('frm3_HL_');
-                        foundElementIds4 = searchForElements('frm4_HL_');
-                        
-                        console.log(`Container ${containerIndex} (${cleanedTitle}): frm1=${foundElementIds.length}, frm2=${foundElementIds2.length}, frm3=${foundElementIds3.length}, frm4=${foundElementIds4.length}`);
-                        
-                        results.push({
-                            title: cleanedTitle,
-                            elementIds: [...new Set(foundElementIds)],
-                            elementIds2: [...new Set(foundElementIds2)],
-                            elementIds3: [...new Set(foundElementIds3)],
-                            elementIds4: [...new Set(foundElementIds4)],
-                            frameUrl: window.location.href,
-                            titleIndex: containerIndex, // Use container index instead of title index
-                            containerIndex: containerIndex,
-                            jvxBaseIframeId: jvxBaseIframeId // Store the jvxBase_* iframe ID for this container
-                        });
-                    });
-                    
-                    return results;
-                });
-                
-                // Store associations for all element types
-                // Use a composite key: title + containerIndex to handle multiple containers with same title
-                // Also store the jvxBase_ iframe ID for matching
-                frameAssociations.forEach(assoc => {
-                    const key = `${assoc.title}__container_${assoc.containerIndex || assoc.titleIndex}`;
-                    
-                    // Store frm1 associations
-                    creativeElementAssociations.set(key, assoc.elementIds || []);
-                    
-                    // Store frm2 associations
-                    creativeElementAssociations2.set(key, assoc.elementIds2 || []);
-                    
-                    // Store frm3 associations
-                    creativeElementAssociations3.set(key, assoc.elementIds3 || []);
-                    
-                    // Store frm4 associations
-                    creativeElementAssociations4.set(key, assoc.elementIds4 || []);
-                    
-                    if (assoc.frameUrl) {
-                        titleFrameMap.set(key, assoc.frameUrl);
-                    }
-                    
-                    // Store the jvxBase_ iframe ID for this container
-                    if (assoc.jvxBaseIframeId) {
-                        // Create a map: container key → jvxBase_ iframe ID
-                        if (!titleFrameMap.has(`jvxBase_${key}`)) {
-                            titleFrameMap.set(`jvxBase_${key}`, assoc.jvxBaseIframeId);
-                        }
-                        console.log(`Container "${assoc.title}" (index ${assoc.containerIndex}) → jvxBase_ iframe: ${assoc.jvxBaseIframeId}`);
-                    }
-                });
-            } catch (frameError) {
-                // Skip cross-origin frames
-                continue;
+// Helper function to probe one URL (HEAD, then GET when HEAD is rejected or fails)
+async function probeUrl(url) {
+    const startedAt = Date.now();
+    const result = {
+        url: url,
+        finalUrl: null,
+        finalStatus: null,
+        finalScheme: null,
+        redirectChain: [],
+        responseTimeMs: null,
+        method: null,
+        stagingHost: false,
+        error: null,
+        verdict: null
+    };
+
+    try {
+        new URL(url);
+    } catch (e) {
+        result.error = 'Invalid URL';
+        result.verdict = 'broken';
+        return result;
+    }
+
+    let outcome = null;
+    try {
+        outcome = await followUrlRedirects(url, 'HEAD');
+        result.method = 'HEAD';
+    } catch (headError) {
+        outcome = null;
+    }
+    if (!outcome || outcome.finalStatus >= 400) {
+        try {
+            outcome = await followUrlRedirects(url, 'GET');
+            result.method = 'GET';
+        } catch (getError) {
+            if (!outcome) {
+                result.error = getError.name === 'TimeoutError' ? `No response within ${URL_PROBE_TIMEOUT_MS / 1000}s` : (getError.cause?.code || getError.cause?.message || getError.message);
             }
         }
-        
-        console.log(`Found associations for ${creativeElementAssociations.size} creatives`);
+    }
+    result.responseTimeMs = Date.now() - startedAt;
 
-        // Helper function to associate elements for a given type
-        // NEW: Match container to its jvxBase_* iframe ID, then get elements from that iframe
-        const associateElementsForType = (titleText, titleFrame, idx, containerIndex, elementType, allElements, usedElementSet, creativeAssociationsMap, prefix, elementsByJvxBaseId, titleFrameMap) => {
-            let creativeElements = [];
-            const unusedElements = allElements.filter(el => !usedElementSet.has(el.id));
-            
-            console.log(`[${elementType}] Associating for "${titleText}" (container ${containerIndex}, idx ${idx})`);
-            console.log(`[${elementType}] Total elements: ${allElements.length}, Unused: ${unusedElements.length}`);
-            
-            // Strategy 1: jvxBase_ iframe ID matching (MOST RELIABLE)
-            // Match container to its jvxBase_* iframe ID, then get elements from that iframe
-            const containerKey = `${titleText}__container_${containerIndex}`;
-            const jvxBaseId = titleFrameMap.get(`jvxBase_${containerKey}`);
-            
-            if (jvxBaseId && elementsByJvxBaseId && elementsByJvxBaseId.has(jvxBaseId)) {
-                const frameElements = elementsByJvxBaseId.get(jvxBaseId);
-                
-                // Get elements for this element type from this jvxBase_ iframe
-                let frameElementsForType = [];
-                if (elementType === 'frm1') {
-                    frameElementsForType = frameElements.frm1 || [];
-                } else if (elementType === 'frm2') {
-                    frameElementsForType = frameElements.frm2 || [];
-                } else if (elementType === 'frm3') {
-                    frameElementsForType = frameElements.frm3 || [];
-                } else if (elementType === 'frm4') {
-                    frameElementsForType = frameElements.frm4 || [];
-                }
-                
-                console.log(`[Strategy 1 - jvxBase_ ID Match] Container "${titleText}" (${containerIndex}) → jvxBase_ iframe: ${jvxBaseId} → Found ${frameElementsForType.length} ${elementType} elements`);
-                
-                // Get the first unused element from this iframe
-                for (const frameElement of frameElementsForType) {
-                    if (!usedElementSet.has(frameElement.id)) {
-                        creativeElements = [frameElement];
-                        usedElementSet.add(frameElement.id);
-                        console.log(`[Strategy 1 - jvxBase_ ID Match] ✅ Container "${titleText}" (${containerIndex}) → ${jvxBaseId} → Element: ${frameElement.id}`);
-                        break;
-                    }
-                }
-                
-                if (creativeElements.length === 0 && frameElementsForType.length > 0) {
-                    console.log(`[Strategy 1 - jvxBase_ ID Match] ⚠️ Container "${titleText}" (${containerIndex}) → All elements from ${jvxBaseId} already used`);
-                } else if (frameElementsForType.length === 0) {
-                    console.log(`[Strategy 1 - jvxBase_ ID Match] ⚠️ Container "${titleText}" (${containerIndex}) → No ${elementType} elements found in ${jvxBaseId}`);
-                }
-            } else {
-                if (!jvxBaseId) {
-                    console.log(`[Strategy 1 - jvxBase_ ID Match] ⚠️ Container "${titleText}" (${containerIndex}) → No jvxBase_ iframe ID found for container key: ${containerKey}`);
-                } else {
-                    console.log(`[Strategy 1 - jvxBase_ ID Match] ⚠️ Container "${titleText}" (${containerIndex}) → jvxBase_ iframe ${jvxBaseId} not found in elementsByJvxBaseId`);
-                    console.log(`[Strategy 1] Available jvxBase_ IDs:`, Array.from(elementsByJvxBaseId.keys()));
-                }
-            }
-            
-            // Strategy 2: Fallback to index-based matching if frame-based didn't work
-            if (creativeElements.length === 0 && allElements.length > 0 && containerIndex !== undefined && containerIndex >= 0) {
-                // Try to get the element at the exact container index
-                if (containerIndex < allElements.length) {
-                    const elementAtIndex = allElements[containerIndex];
-                    if (elementAtIndex && !usedElementSet.has(elementAtIndex.id)) {
-                        creativeElements = [elementAtIndex];
-                        usedElementSet.add(elementAtIndex.id);
-                        console.log(`[Strategy 2 - Index Match] ✅ Container ${containerIndex} → Element at index ${containerIndex}: ${elementAtIndex.id}`);
-                    } else {
-                        console.log(`[Strategy 2 - Index Match] ⚠️ Container ${containerIndex} → Element at index ${containerIndex} already used`);
-                    }
-                }
-            }
-            
-            // Strategy 3: Try DOM association (only if frame/index-based didn't work)
-            if (creativeElements.length === 0) {
-                const associationKey = `${titleText}__container_${containerIndex !== undefined ? containerIndex : idx}`;
-                console.log(`[Strategy 3 - DOM Association] Checking key: ${associationKey}`);
-                console.log(`[Strategy 3] Association map has key: ${creativeAssociationsMap.has(associationKey)}`);
-                
-                if (creativeAssociationsMap.has(associationKey)) {
-                    const associatedIds = creativeAssociationsMap.get(associationKey);
-                    console.log(`[Strategy 3] Associated IDs for this key:`, associatedIds);
-                    
-                    // Find first unused element from associations
-                    for (const elementId of associatedIds) {
-                        let fullElement = allElements.find(el => 
-                            el.id === elementId && 
-                            !usedElementSet.has(el.id)
-                        );
-                        
-                        if (fullElement) {
-                            creativeElements = [fullElement];
-                            usedElementSet.add(fullElement.id);
-                            console.log(`[Strategy 3 - DOM Association] ✅ Found via key ${associationKey}: ${fullElement.id}`);
-                            break;
-                        } else {
-                            console.log(`[Strategy 3] Element ${elementId} not found or already used`);
-                        }
-                    }
-                } else {
-                    console.log(`[Strategy 3] No association found for key: ${associationKey}`);
-                    console.log(`[Strategy 3] Available keys:`, Array.from(creativeAssociationsMap.keys()));
-                }
-            }
-            
-            // Strategy 4: Pattern matching by number - only unused elements
-            if (creativeElements.length === 0) {
-                const creativeNumber = titleText.match(/\d+/); // Extract "10" from "Char_Limit-10"
-                
-                if (creativeNumber) {
-                    const numStr = creativeNumber[0];
-                    console.log(`[Strategy 4 - Pattern Match] Looking for number "${numStr}" in element IDs`);
-                    
-                    // Find ALL unused elements containing this number
-                    const matchingElements = unusedElements.filter(el => {
-                        if (!el.id) return false;
-                        return el.id.includes(numStr);
-                    });
-                    
-                    console.log(`[Strategy 4] Found ${matchingElements.length} elements containing "${numStr}":`, matchingElements.map(el => el.id));
-                    
-                    if (matchingElements.length > 0) {
-                        // Prefer exact match patterns
-                        const exactMatch = matchingElements.find(el => {
-                            const id = el.id;
-                            return id.includes(`-${numStr}`) ||
-                                   id.includes(`_${numStr}`) ||
-                                   id.includes(`${numStr}-`) ||
-                                   id.includes(`${numStr}_`) ||
-                                   id.includes(`x${numStr}`) ||
-                                   id.includes(`${numStr}x`) ||
-                                   id.endsWith(numStr) ||
-                                   id.includes(`${prefix}${numStr}`);
-                        });
-                        
-                        const selectedElement = exactMatch || matchingElements[0];
-                        creativeElements = [selectedElement];
-                        usedElementSet.add(selectedElement.id);
-                        console.log(`[Strategy 4 - Pattern Match] ✅ Selected: ${selectedElement.id}`);
-                    }
-                } else {
-                    console.log(`[Strategy 4] No number found in title: "${titleText}"`);
-                }
+    if (outcome) {
+        const finalUrl = new URL(outcome.finalUrl);
+        result.finalUrl = outcome.finalUrl;
+        result.finalStatus = outcome.finalStatus;
+        result.finalScheme = finalUrl.protocol.replace(':', '');
+        result.redirectChain = outcome.redirectChain;
+        result.stagingHost = STAGING_HOST_PATTERN.test(finalUrl.hostname) ||
+            outcome.redirectChain.some(hop => STAGING_HOST_PATTERN.test(new URL(hop.url).hostname));
+    }
+
+    // broken: unreachable or 4xx/5xx, insecure: ends on http, warning: staging host or http link upgraded to https
+    if (!outcome || outcome.finalStatus >= 400) {
+        result.verdict = 'broken';
+    } else if (result.finalScheme !== 'https') {
+        result.verdict = 'insecure';
+    } else if (result.stagingHost || !url.toLowerCase().startsWith('https://')) {
+        result.verdict = 'warning';
+    } else {
+        result.verdict = 'ok';
+    }
+    return result;
+}
+
+// Probe a list of URLs
+app.post('/api/probe-urls', async (req, res) => {
+    const urls = req.body?.urls;
+    if (!Array.isArray(urls) || urls.length === 0) {
+        return res.status(400).json({ ok: false, error: 'Missing or empty urls array in request body' });
+    }
+    const uniqueUrls = Array.from(new Set(urls.map(url => String(url).trim()).filter(url => url)));
+    if (uniqueUrls.length > URL_PROBE_MAX_URLS) {
+        return res.status(400).json({ ok: false, error: `Too many URLs (${uniqueUrls.length}), the limit is ${URL_PROBE_MAX_URLS}` });
+    }
+
+    // Run the probes with bounded concurrency
+    const results = await mapWithConcurrency(uniqueUrls, URL_PROBE_CONCURRENCY, probeUrl);
+
+    console.log(`Probed ${results.length} URLs: ${results.filter(r => r.verdict !== 'ok').length} with issues`);
+    res.json({ ok: true, results: results });
+});
+
+// ============================================
+// SHEET IMAGE DIMENSIONS
+// ============================================
+// POST /api/image-dimensions downloads images referenced in the sheet and reads their intrinsic pixel size from the
+// file header (PNG, JPEG, GIF, WebP, BMP, SVG), so LOGO_WxH columns can be compared with the real asset size.
+const IMAGE_DOWNLOAD_TIMEOUT_MS = 15000;
+const IMAGE_DOWNLOAD_MAX_BYTES = 20 * 1024 * 1024;
+const IMAGE_DIMENSIONS_MAX_URLS = 1000;
+
+// Helper function to download an image (returns { buffer, status, contentType, finalUrl })
+async function downloadImage(url) {
+    const response = await fetch(url, {
+        signal: AbortSignal.timeout(IMAGE_DOWNLOAD_TIMEOUT_MS),
+        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; MazdaValidator image check)' }
+    });
+    const contentLength = parseInt(response.headers.get('content-length'), 10);
+    if (contentLength > IMAGE_DOWNLOAD_MAX_BYTES) {
+        response.body?.cancel().catch(() => {});
+        throw new Error(`Image is larger than ${IMAGE_DOWNLOAD_MAX_BYTES / (1024 * 1024)} MB`);
+    }
+    // The body is read chunk by chunk and the download stops as soon as it passes the limit, so a response
+    // without (or with a wrong) content-length cannot fill the memory
+    const chunks = [];
+    let receivedBytes = 0;
+    if (response.body) {
+        const reader = response.body.getReader();
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            receivedBytes += value.length;
+            if (receivedBytes > IMAGE_DOWNLOAD_MAX_BYTES) {
+                reader.cancel().catch(() => {});
+                throw new Error(`Image is larger than ${IMAGE_DOWNLOAD_MAX_BYTES / (1024 * 1024)} MB`);
             }
-            
-            // Strategy 5: Same frame elements by index (only unused)
-            if (creativeElements.length === 0 && titleFrame) {
-                const sameFrameElements = unusedElements.filter(el => 
-                    el.frameUrl === titleFrame
-                );
-                
-                if (sameFrameElements.length > 0) {
-                    const frameTitleIndex = previewVariationTitles
-                        .filter(t => (titleFrameMap.get(t.text) || '') === titleFrame)
-                        .findIndex(t => t.text === titleText);
-                    
-                    if (frameTitleIndex >= 0 && sameFrameElements.length > frameTitleIndex) {
-                        creativeElements = [sameFrameElements[frameTitleIndex]];
-                        usedElementSet.add(sameFrameElements[frameTitleIndex].id);
-                    } else if (sameFrameElements.length > 0) {
-                        creativeElements = [sameFrameElements[0]];
-                        usedElementSet.add(sameFrameElements[0].id);
-                    }
-                }
+            chunks.push(value);
+        }
+    }
+    const buffer = Buffer.concat(chunks, receivedBytes);
+    return {
+        buffer: buffer,
+        status: response.status,
+        contentType: response.headers.get('content-type') || '',
+        finalUrl: response.url || url
+    };
+}
+
+// Helper function to read the pixel size of an SVG from its width/height attributes or viewBox
+function getSvgDimensions(text) {
+    const svgTag = text.match(/<svg\b[^>]*>/i);
+    if (!svgTag) return null;
+    const readLength = (name) => {
+        const match = svgTag[0].match(new RegExp(`\\s${name}\\s*=\\s*["']\\s*([\\d.]+)(px)?\\s*["']`, 'i'));
+        return match ? parseFloat(match[1]) : null;
+    };
+    let width = readLength('width');
+    let height = readLength('height');
+    const viewBox = svgTag[0].match(/\sviewBox\s*=\s*["']\s*[-\d.]+[\s,]+[-\d.]+[\s,]+([\d.]+)[\s,]+([\d.]+)\s*["']/i);
+    if ((!width || !height) && viewBox) {
+        width = width || parseFloat(viewBox[1]);
+        height = height || parseFloat(viewBox[2]);
+    }
+    if (!width || !height) return null;
+    return { format: 'svg', width: width, height: height };
+}
+
+// Helper function to read the intrinsic size of an image from its header bytes
+// Returns { format, width, height } or null when the format is not recognized
+function getImageDimensions(buffer) {
+    if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504E47 && buffer.toString('ascii', 12, 16) === 'IHDR') {
+        return { format: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (buffer.length >= 10 && buffer.toString('ascii', 0, 4) === 'GIF8') {
+        return { format: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    if (buffer.length >= 26 && buffer.toString('ascii', 0, 2) === 'BM') {
+        return { format: 'bmp', width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+    }
+    if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        const chunk = buffer.toString('ascii', 12, 16);
+        if (chunk === 'VP8 ') {
+            return { format: 'webp', width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+        }
+        if (chunk === 'VP8L') {
+            const bits = buffer.readUInt32LE(21);
+            return { format: 'webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8X') {
+            return { format: 'webp', width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        }
+        return null;
+    }
+    if (buffer.length >= 4 && buffer[0] === 0xFF && buffer[1] === 0xD8) {
+        // Walk the JPEG markers up to the first start-of-frame (SOF0-SOF15 except DHT, JPG and DAC)
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xFF) return null;
+            const marker = buffer[offset + 1];
+            if (marker === 0xFF) {
+                offset++;
+                continue;
             }
-            
-            // Strategy 6: Sequential assignment by global index (only unused) - GUARANTEED TO ASSIGN
-            if (creativeElements.length === 0) {
-                if (unusedElements.length > 0) {
-                    // Assign by creative index - ensure each creative gets a unique element
-                    const elementIndex = idx % unusedElements.length;
-                    const selectedElement = unusedElements[elementIndex];
-                    creativeElements = [selectedElement];
-                    usedElementSet.add(selectedElement.id);
-                        console.log(`[Strategy 6 - Sequential] Creative ${idx} → Element ${elementIndex}: ${selectedElement.id}`);
-                }
+            if (marker === 0xD8 || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+                offset += 2;
+                continue;
             }
-            
-            // Deduplicate by ID
-            const finalUniqueElements = [];
-            const seenElementIds = new Set();
-            creativeElements.forEach(el => {
-                if (el.id && !seenElementIds.has(el.id)) {
-                    seenElementIds.add(el.id);
-                    finalUniqueElements.push(el);
-                }
-            });
-            
-            if (finalUniqueElements.length === 0) {
-                console.log(`[${elementType}] ⚠️ No elements found for "${titleText}" after all strategies`);
-            } else {
-                console.log(`[${elementType}] ✅ Final result for "${titleText}":`, finalUniqueElements.map(el => el.id));
+            if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                return { format: 'jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
             }
-            
-            return finalUniqueElements;
-        };
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+        return null;
+    }
+    const head = buffer.toString('utf8', 0, Math.min(buffer.length, 4096));
+    if (/<svg\b/i.test(head)) {
+        return getSvgDimensions(buffer.toString('utf8'));
+    }
+    return null;
+}
 
-        // If we have previewVariationTitles, create a creative entry for each
-        // NEW APPROACH: Treat each creative as a separate DOM - find its iframe and get elements directly
-        if (previewVariationTitles.length > 0) {
-            console.log(`\n=== STARTING CREATIVE ASSOCIATION (Direct DOM Access) ===`);
-            console.log(`Total creatives: ${previewVariationTitles.length}`);
-            console.log(`=====================================\n`);
-            
-            // First, get all frames and create a mapping of iframe IDs to Puppeteer frames
-            const allFrames = page.frames();
-            const frameMap = new Map(); // Map iframe ID to Puppeteer frame
-            
-            // Try to map frames by evaluating the main page to find all jvxBase_ iframes
-            try {
-                const iframeInfo = await page.evaluate(() => {
-                    const iframes = document.querySelectorAll('iframe[id^="jvxBase_"]');
-                    return Array.from(iframes).map(iframe => ({
-                        id: iframe.id || '',
-                        name: iframe.name || '',
-                        src: iframe.src || ''
-                    }));
-                });
-                
-                console.log(`Found ${iframeInfo.length} jvxBase_ iframes in main page`);
-                
-                // Try to match each iframe to a Puppeteer frame
-                // Match by index: iframe at index N should map to frame at index N+1 (main frame is 0)
-                for (let i = 0; i < iframeInfo.length; i++) {
-                    const iframe = iframeInfo[i];
-                    let matchedFrame = null;
-                    
-                    // Method 1: Try by name
-                    if (iframe.name) {
-                        matchedFrame = allFrames.find(f => {
-                            try {
-                                return f.name() === iframe.name || f.name() === iframe.id;
-                            } catch (e) {
-                                return false;
-                            }
-                        });
-                    }
-                    
-                    // Method 2: Try by URL
-                    if (!matchedFrame && iframe.src) {
-                        matchedFrame = allFrames.find(f => {
-                            try {
-                                const url = f.url();
-                                return url && (url === iframe.src || url.includes(iframe.id));
-                            } catch (e) {
-                                return false;
-                            }
-                        });
-                    }
-                    
-                    // Method 3: Try by index (main frame is 0, first iframe should be at index 1, etc.)
-                    if (!matchedFrame && i + 1 < allFrames.length) {
-                        matchedFrame = allFrames[i + 1];
-                    }
-                    
-                    if (matchedFrame) {
-                        frameMap.set(iframe.id, matchedFrame);
-                        console.log(`✅ Mapped iframe ${iframe.id} to Puppeteer frame (index ${i + 1})`);
-                    } else {
-                        console.log(`⚠️ Could not map iframe ${iframe.id} to Puppeteer frame`);
-                    }
-                }
-            } catch (e) {
-                console.log(`Error creating frame map: ${e.message}`);
-            }
-            
-            // Process each creative separately - treat each as its own DOM
-            for (let idx = 0; idx < previewVariationTitles.length; idx++) {
-                const title = previewVariationTitles[idx];
-                const containerIndex = title.containerIndex !== undefined ? title.containerIndex : idx;
-                
-                console.log(`\n[Creative ${idx + 1}] Processing: "${title.text}" (container ${containerIndex})`);
-                
-                // Step 1: Find the jvxBase_ iframe ID for this container
-                let jvxBaseIframeId = '';
-                let jvxBaseFrame = null;
-                
-                try {
-                    // Find the container and its jvxBase_ iframe in the main page
-                    const containerInfo = await page.evaluate((containerIdx) => {
-                        const containers = document.getElementsByClassName("tagPreview previewFrameParent");
-                        if (containerIdx >= containers.length) return null;
-                        
-                        const container = containers[containerIdx];
-                        const jvxBaseIframe = container.querySelector('iframe[id^="jvxBase_"]');
-                        
-                        return {
-                            jvxBaseIframeId: jvxBaseIframe ? (jvxBaseIframe.id || '') : '',
-                            hasIframe: !!jvxBaseIframe
-                        };
-                    }, containerIndex);
-                    
-                    if (containerInfo && containerInfo.jvxBaseIframeId) {
-                        jvxBaseIframeId = containerInfo.jvxBaseIframeId;
-                        console.log(`[Creative ${idx + 1}] Found jvxBase_ iframe ID: ${jvxBaseIframeId}`);
-                        
-                        // Step 2: Get the Puppeteer frame from our map
-                        jvxBaseFrame = frameMap.get(jvxBaseIframeId);
-                        
-                        if (!jvxBaseFrame) {
-                            // Fallback: Try to find frame by iterating through all frames
-                            console.log(`[Creative ${idx + 1}] Frame not in map, trying fallback methods...`);
-                            for (const frame of allFrames) {
-                                try {
-                                    const frameName = frame.name();
-                                    const frameUrl = frame.url();
-                                    
-                                    if (frameName === jvxBaseIframeId || 
-                                        (frameUrl && frameUrl.includes(jvxBaseIframeId))) {
-                                        jvxBaseFrame = frame;
-                                        frameMap.set(jvxBaseIframeId, frame); // Cache it
-                                        console.log(`[Creative ${idx + 1}] Found frame via fallback`);
-                                        break;
-                                    }
-                                } catch (e) {
-                                    continue;
-                                }
-                            }
-                        }
-                    } else {
-                        console.log(`[Creative ${idx + 1}] ⚠️ No jvxBase_ iframe found in container ${containerIndex}`);
-                    }
-                } catch (e) {
-                    console.log(`[Creative ${idx + 1}] Error finding iframe: ${e.message}`);
-                }
-                
-                // Step 3: Access the iframe's DOM and get elements directly
-                let creativeElements = [];
-                let creativeElements2 = [];
-                let creativeElements3 = [];
-                let creativeElements4 = [];
-                
-                if (jvxBaseFrame) {
-                    try {
-                        console.log(`[Creative ${idx + 1}] Accessing iframe ${jvxBaseIframeId} to get elements...`);
-                        
-                        const iframeElements = await jvxBaseFrame.evaluate(() => {
-                            const processElements = (elements) => {
-                                return Array.from(elements).map(el => {
-                                    try {
-                                        return {
-                                            id: el.id || '',
-                                            tagName: el.tagName || '',
-                                            className: el.className || '',
-                                            innerText: (el.innerText || el.textContent || '').substring(0, 100),
-                                            outerHTML: (el.outerHTML || '').substring(0, 200)
-                                        };
-                                    } catch (e) {
-                                        return { id: el.id || '', tagName: el.tagName || '' };
-                                    }
-                                });
-                            };
-                            
-                            const frm1Elements = document.querySelectorAll('[id^="frm1_HL_"]');
-                            const frm2Elements = document.querySelectorAll('[id^="frm2_HL_"]');
-                            const frm3Elements = document.querySelectorAll('[id^="frm3_HL_"]');
-                            const frm4Elements = document.querySelectorAll('[id^="frm4_HL_"]');
-                            
-                            return {
-                                frm1: processElements(frm1Elements),
-                                frm2: processElements(frm2Elements),
-                                frm3: processElements(frm3Elements),
-                                frm4: processElements(frm4Elements)
-                            };
-                        });
-                        
-                        creativeElements = iframeElements.frm1 || [];
-                        creativeElements2 = iframeElements.frm2 || [];
-                        creativeElements3 = iframeElements.frm3 || [];
-                        creativeElements4 = iframeElements.frm4 || [];
-                        
-                        console.log(`[Creative ${idx + 1}] ✅ Found in iframe ${jvxBaseIframeId}:`);
-                        console.log(`  - frm1: ${creativeElements.length} elements`, creativeElements.map(el => el.id));
-                        console.log(`  - frm2: ${creativeElements2.length} elements`, creativeElements2.map(el => el.id));
-                        console.log(`  - frm3: ${creativeElements3.length} elements`, creativeElements3.map(el => el.id));
-                        console.log(`  - frm4: ${creativeElements4.length} elements`, creativeElements4.map(el => el.id));
-                    } catch (iframeError) {
-                        console.log(`[Creative ${idx + 1}] ⚠️ Cannot access iframe ${jvxBaseIframeId}: ${iframeError.message}`);
-                        console.log(`[Creative ${idx + 1}] Error details:`, iframeError.stack);
-                    }
-                } else {
-                    console.log(`[Creative ${idx + 1}] ⚠️ Could not find Puppeteer frame for ${jvxBaseIframeId}`);
-                }
-                
-                creatives.push({
-                    index: creatives.length + 1,
-                    title: title.text,
-                    originalTitle: title.originalText,
-                    jvxBaseIframeId: jvxBaseIframeId || '', // Store the jvxBase_ iframe ID
-                    hasFrm1HLElements: creativeElements.length > 0,
-                    frm1HLElements: creativeElements,
-                    hasFrm2HLElements: creativeElements2.length > 0,
-                    frm2HLElements: creativeElements2,
-                    hasFrm3HLElements: creativeElements3.length > 0,
-                    frm3HLElements: creativeElements3,
-                    hasFrm4HLElements: creativeElements4.length > 0,
-                    frm4HLElements: creativeElements4
-                });
-            }
-        } else {
-            // If no previewVariationTitles found, create a single creative entry if we have elements
-            if (allHLElements.length > 0 || allHLElements2.length > 0 || allHLElements3.length > 0 || allHLElements4.length > 0 || hlMatches.length > 0) {
-                // Take only the first unique element for each type
-                const firstElement = allHLElements.length > 0 ? [allHLElements[0]] : [];
-                const firstElement2 = allHLElements2.length > 0 ? [allHLElements2[0]] : [];
-                const firstElement3 = allHLElements3.length > 0 ? [allHLElements3[0]] : [];
-                const firstElement4 = allHLElements4.length > 0 ? [allHLElements4[0]] : [];
-                
-                creatives.push({
-                    index: 1,
-                    title: 'Creative (No title found)',
-                    originalTitle: '',
-                    hasFrm1HLElements: firstElement.length > 0,
-                    frm1HLElements: firstElement,
-                    hasFrm2HLElements: firstElement2.length > 0,
-                    frm2HLElements: firstElement2,
-                    hasFrm3HLElements: firstElement3.length > 0,
-                    frm3HLElements: firstElement3,
-                    hasFrm4HLElements: firstElement4.length > 0,
-                    frm4HLElements: firstElement4
-                });
+// Helper function to download one image and measure it
+async function measureImage(url) {
+    const result = { url: url, width: null, height: null, format: null, httpStatus: null, error: null };
+    try {
+        const image = await downloadImage(url);
+        result.httpStatus = image.status;
+        if (image.status >= 400) {
+            result.error = `HTTP ${image.status}`;
+            return result;
+        }
+        const dimensions = getImageDimensions(image.buffer);
+        if (!dimensions) {
+            result.error = `Not a supported image${image.contentType ? ` (${image.contentType})` : ''}`;
+            return result;
+        }
+        result.width = dimensions.width;
+        result.height = dimensions.height;
+        result.format = dimensions.format;
+    } catch (error) {
+        result.error = error.name === 'TimeoutError' ? `No response within ${IMAGE_DOWNLOAD_TIMEOUT_MS / 1000}s` : (error.cause?.code || error.cause?.message || error.message);
+    }
+    return result;
+}
+
+// Measure the intrinsic size of a list of images
+app.post('/api/image-dimensions', async (req, res) => {
+    const urls = req.body?.urls;
+    if (!Array.isArray(urls) || urls.length === 0) {
+        return res.status(400).json({ ok: false, error: 'Missing or empty urls array in request body' });
+    }
+    const uniqueUrls = Array.from(new Set(urls.map(url => String(url).trim()).filter(url => url)));
+    if (uniqueUrls.length > IMAGE_DIMENSIONS_MAX_URLS) {
+        return res.status(400).json({ ok: false, error: `Too many URLs (${uniqueUrls.length}), the limit is ${IMAGE_DIMENSIONS_MAX_URLS}` });
+    }
+
+    // Download with the same bounded concurrency as the URL probes
+    const results = await mapWithConcurrency(uniqueUrls, URL_PROBE_CONCURRENCY, measureImage);
+
+    console.log(`Measured ${results.length} images: ${results.filter(r => r.error).length} failed`);
+    res.json({ ok: true, results: results });
+});
+
+// ============================================
+// LOGO PIXEL COLOR
+// ============================================
+// POST /api/logo-pixel-colors downloads each logo and decodes it in the pooled Chrome (any format the browser
+// renders, SVG included), then counts the opaque pixels that are near-white and near-black. A logo is "white" or
+// "black" when that share of its opaque pixels reaches LOGO_PREDOMINANT_SHARE, otherwise "mixed".
+const LOGO_PIXEL_MAX_SIDE = 512; // Larger logos are scaled down before counting
+const LOGO_PIXEL_ALPHA_MIN = 128;
+const LOGO_WHITE_MIN_LUMINANCE = 200;
+const LOGO_BLACK_MAX_LUMINANCE = 60;
+const LOGO_PREDOMINANT_SHARE = 0.6;
+const IMAGE_MIME_TYPES = { png: 'image/png', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp', bmp: 'image/bmp', svg: 'image/svg+xml' };
+
+// Helper function to turn opaque/white/black pixel counts into a verdict
+function classifyLogoPixelCounts(counts) {
+    if (counts.opaquePixels === 0) {
+        return { pixelColor: null, whiteShare: 0, blackShare: 0, error: 'Logo has no opaque pixels' };
+    }
+    const whiteShare = counts.whitePixels / counts.opaquePixels;
+    const blackShare = counts.blackPixels / counts.opaquePixels;
+    let pixelColor = 'mixed';
+    if (whiteShare >= LOGO_PREDOMINANT_SHARE) {
+        pixelColor = 'white';
+    } else if (blackShare >= LOGO_PREDOMINANT_SHARE) {
+        pixelColor = 'black';
+    }
+    return {
+        pixelColor: pixelColor,
+        whiteShare: Math.round(whiteShare * 1000) / 1000,
+        blackShare: Math.round(blackShare * 1000) / 1000,
+        error: null
+    };
+}
+
+// Helper function to count the opaque, near-white and near-black pixels of an image in a browser page
+async function countLogoPixels(page, buffer, mimeType) {
+    const dataUrl = `data:${mimeType};base64,${buffer.toString('base64')}`;
+    return page.evaluate(async (dataUrl, maxSide, alphaMin, whiteMin, blackMax) => {
+        const img = new Image();
+        img.src = dataUrl;
+        await img.decode();
+
+        // SVGs without width/height have no natural size, draw them at maxSide
+        const naturalWidth = img.naturalWidth || maxSide;
+        const naturalHeight = img.naturalHeight || maxSide;
+        const scale = Math.min(1, maxSide / Math.max(naturalWidth, naturalHeight));
+        const width = Math.max(1, Math.round(naturalWidth * scale));
+        const height = Math.max(1, Math.round(naturalHeight * scale));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        context.drawImage(img, 0, 0, width, height);
+        const pixels = context.getImageData(0, 0, width, height).data;
+
+        let opaquePixels = 0;
+        let whitePixels = 0;
+        let blackPixels = 0;
+        for (let i = 0; i < pixels.length; i += 4) {
+            if (pixels[i + 3] < alphaMin) continue;
+            opaquePixels++;
+            const luminance = 0.2126 * pixels[i] + 0.7152 * pixels[i + 1] + 0.0722 * pixels[i + 2];
+            if (luminance >= whiteMin) {
+                whitePixels++;
+            } else if (luminance <= blackMax) {
+                blackPixels++;
             }
         }
-        
-        // Close browser after processing all creatives
-        try {
-            await browser.close();
-        } catch (closeError) {
-            console.log('Error closing browser (non-critical):', closeError.message);
+        return { opaquePixels, whitePixels, blackPixels, totalPixels: width * height };
+    }, dataUrl, LOGO_PIXEL_MAX_SIDE, LOGO_PIXEL_ALPHA_MIN, LOGO_WHITE_MIN_LUMINANCE, LOGO_BLACK_MAX_LUMINANCE);
+}
+
+// Helper function to download one logo and classify its pixels
+async function analyzeLogoPixels(page, url) {
+    const result = { url: url, pixelColor: null, whiteShare: null, blackShare: null, opaquePixels: null, totalPixels: null, error: null };
+    try {
+        const image = await downloadImage(url);
+        if (image.status >= 400) {
+            result.error = `HTTP ${image.status}`;
+            return result;
         }
-        
-        console.log(`\n=== FINAL SUMMARY ===`);
-        console.log(`Total creatives: ${creatives.length}`);
-        creatives.forEach((c, i) => {
-            console.log(`Creative ${i + 1}: "${c.title}"`);
-            console.log(`  frm1_HL_: ${c.hasFrm1HLElements ? '✅' : '❌'} (${c.frm1HLElements.length} elements)`);
-            if (c.frm1HLElements.length > 0) {
-                console.log(`    Element IDs:`, c.frm1HLElements.map(el => el.id));
-            }
-            console.log(`  frm2_HL_: ${c.hasFrm2HLElements ? '✅' : '❌'} (${c.frm2HLElements.length} elements)`);
-            if (c.frm2HLElements.length > 0) {
-                console.log(`    Element IDs:`, c.frm2HLElements.map(el => el.id));
-            }
-            console.log(`  frm3_HL_: ${c.hasFrm3HLElements ? '✅' : '❌'} (${c.frm3HLElements.length} elements)`);
-            if (c.frm3HLElements.length > 0) {
-                console.log(`    Element IDs:`, c.frm3HLElements.map(el => el.id));
+        const dimensions = getImageDimensions(image.buffer);
+        if (!dimensions) {
+            result.error = `Not a supported image${image.contentType ? ` (${image.contentType})` : ''}`;
+            return result;
+        }
+        const counts = await countLogoPixels(page, image.buffer, IMAGE_MIME_TYPES[dimensions.format]);
+        const verdict = classifyLogoPixelCounts(counts);
+        result.pixelColor = verdict.pixelColor;
+        result.whiteShare = verdict.whiteShare;
+        result.blackShare = verdict.blackShare;
+        result.opaquePixels = counts.opaquePixels;
+        result.totalPixels = counts.totalPixels;
+        result.error = verdict.error;
+    } catch (error) {
+        result.error = error.name === 'TimeoutError' ? `No response within ${IMAGE_DOWNLOAD_TIMEOUT_MS / 1000}s` : (error.cause?.code || error.cause?.message || error.message);
+    }
+    return result;
+}
+
+// Classify a list of logos as predominantly white or black
+app.post('/api/logo-pixel-colors', async (req, res) => {
+    const urls = req.body?.urls;
+    if (!Array.isArray(urls) || urls.length === 0) {
+        return res.status(400).json({ ok: false, error: 'Missing or empty urls array in request body' });
+    }
+    const uniqueUrls = Array.from(new Set(urls.map(url => String(url).trim()).filter(url => url)));
+    if (uniqueUrls.length > IMAGE_DIMENSIONS_MAX_URLS) {
+        return res.status(400).json({ ok: false, error: `Too many URLs (${uniqueUrls.length}), the limit is ${IMAGE_DIMENSIONS_MAX_URLS}` });
+    }
+
+    let context = null;
+    try {
+        context = await acquireBrowserContext();
+        const page = await context.newPage();
+
+        // Downloads run with the URL probe concurrency, decoding shares one page
+        const results = await mapWithConcurrency(uniqueUrls, URL_PROBE_CONCURRENCY, url => analyzeLogoPixels(page, url));
+
+        console.log(`Analyzed ${results.length} logos: ${results.filter(r => r.error).length} failed`);
+        res.json({ ok: true, results: results });
+    } catch (error) {
+        console.error('Error analyzing logo pixels:', error);
+        res.status(500).json({ ok: false, error: error.message });
+    } finally {
+        await releaseBrowserContext(context);
+    }
+});
+
+// ============================================
+// IMAGE PAIR COMPARISON
+// ============================================
+// POST /api/compare-images checks whether two images that Compare Images paired up actually look the same.
+// Both files are decoded in the pooled Chrome; a 64-bit difference hash (dHash) catches replaced artwork and a
+// per-pixel diff at up to IMAGE_DIFF_MAX_SIDE px measures how much changed and renders a heatmap (red = changed).
+// Heatmaps are kept in memory per comparison and returned as URLs, so the response stays small. The heatmaps of the
+// last IMAGE_HEATMAP_MAX_COMPARISONS comparisons are kept (for IMAGE_HEATMAP_TTL_MS), separate from the screenshots,
+// so a large comparison cannot push out its own heatmaps or the scan screenshots.
+const IMAGE_DIFF_MAX_SIDE = 256;
+const IMAGE_DIFF_PIXEL_THRESHOLD = 0.1; // Per-channel difference (0..1) above which a pixel counts as changed
+const IMAGE_SIMILAR_MAX_HASH_DISTANCE = 10; // Of 64 hash bits
+const IMAGE_SIMILAR_MAX_CHANGED_SHARE = 0.05;
+const IMAGE_COMPARE_MAX_PAIRS = 500;
+const IMAGE_HEATMAP_TTL_MS = 60 * 60 * 1000;
+const IMAGE_HEATMAP_MAX_COMPARISONS = 5;
+const heatmapStore = new Map(); // comparison id -> Map(pair index -> PNG buffer), oldest first
+
+// Helper function to keep the heatmaps of one comparison (dropping the oldest comparisons beyond the limit)
+function createHeatmapComparison() {
+    const comparisonId = crypto.randomUUID();
+    heatmapStore.set(comparisonId, new Map());
+    setTimeout(() => heatmapStore.delete(comparisonId), IMAGE_HEATMAP_TTL_MS).unref();
+    for (const oldestId of heatmapStore.keys()) {
+        if (heatmapStore.size <= IMAGE_HEATMAP_MAX_COMPARISONS) break;
+        heatmapStore.delete(oldestId);
+    }
+    return comparisonId;
+}
+
+// Helper function to download an image for decoding in the browser (returns { buffer, dataUrl })
+async function downloadImageDataUrl(url) {
+    const image = await downloadImage(url);
+    if (image.status >= 400) {
+        throw new Error(`HTTP ${image.status}`);
+    }
+    const dimensions = getImageDimensions(image.buffer);
+    if (!dimensions) {
+        throw new Error(`Not a supported image${image.contentType ? ` (${image.contentType})` : ''}`);
+    }
+    return {
+        buffer: image.buffer,
+        dataUrl: `data:${IMAGE_MIME_TYPES[dimensions.format]};base64,${image.buffer.toString('base64')}`
+    };
+}
+
+// Helper function to count the differing bits of two hex hashes
+function getHashDistance(hash1, hash2) {
+    let distance = 0;
+    for (let i = 0; i < hash1.length; i++) {
+        let bits = parseInt(hash1[i], 16) ^ parseInt(hash2[i], 16);
+        while (bits) {
+            distance += bits & 1;
+            bits >>= 1;
+        }
+    }
+    return distance;
+}
+
+// Helper function to classify an image pair: identical, similar or different
+function classifyImagePair(metrics) {
+    if (metrics.byteIdentical || (metrics.hashDistance === 0 && metrics.changedShare === 0 && metrics.sameSize)) {
+        return 'identical';
+    }
+    if (metrics.hashDistance <= IMAGE_SIMILAR_MAX_HASH_DISTANCE && metrics.changedShare <= IMAGE_SIMILAR_MAX_CHANGED_SHARE) {
+        return 'similar';
+    }
+    return 'different';
+}
+
+// Helper function to hash and diff two images in a browser page
+async function diffImagesInPage(page, dataUrl1, dataUrl2) {
+    return page.evaluate(async (dataUrl1, dataUrl2, maxSide, pixelThreshold) => {
+        const loadImage = async (src) => {
+            const img = new Image();
+            img.src = src;
+            await img.decode();
+            return img;
+        };
+        // Draw over mid-grey so white and black artwork on transparency both keep their contrast
+        const drawPixels = (img, width, height) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const context = canvas.getContext('2d');
+            context.fillStyle = '#808080';
+            context.fillRect(0, 0, width, height);
+            context.drawImage(img, 0, 0, width, height);
+            return context.getImageData(0, 0, width, height).data;
+        };
+        // dHash: 9x8 greyscale, one bit per horizontal neighbour comparison
+        const differenceHash = (img) => {
+            const pixels = drawPixels(img, 9, 8);
+            const grey = [];
+            for (let i = 0; i < pixels.length; i += 4) {
+                grey.push(0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2]);
             }
-            console.log(`  frm4_HL_: ${c.hasFrm4HLElements ? '✅' : '❌'} (${c.frm4HLElements.length} elements)`);
-            if (c.frm4HLElements.length > 0) {
-                console.log(`    Element IDs:`, c.frm4HLElements.map(el => el.id));
+            let hash = '';
+            for (let row = 0; row < 8; row++) {
+                for (let nibble = 0; nibble < 2; nibble++) {
+                    let value = 0;
+                    for (let bit = 0; bit < 4; bit++) {
+                        const col = nibble * 4 + bit;
+                        value = (value << 1) | (grey[row * 9 + col] > grey[row * 9 + col + 1] ? 1 : 0);
+                    }
+                    hash += value.toString(16);
+                }
             }
+            return hash;
+        };
+
+        const img1 = await loadImage(dataUrl1);
+        const img2 = await loadImage(dataUrl2);
+        const width1 = img1.naturalWidth || maxSide;
+        const height1 = img1.naturalHeight || maxSide;
+
+        // Both images are drawn into the box of the first one, so a changed aspect ratio shows up in the diff
+        const scale = Math.min(1, maxSide / Math.max(width1, height1));
+        const width = Math.max(1, Math.round(width1 * scale));
+        const height = Math.max(1, Math.round(height1 * scale));
+        const pixels1 = drawPixels(img1, width, height);
+        const pixels2 = drawPixels(img2, width, height);
+
+        const heatmapCanvas = document.createElement('canvas');
+        heatmapCanvas.width = width;
+        heatmapCanvas.height = height;
+        const heatmapContext = heatmapCanvas.getContext('2d');
+        const heatmap = heatmapContext.createImageData(width, height);
+        let changedPixels = 0;
+        let totalDiff = 0;
+        for (let i = 0; i < pixels1.length; i += 4) {
+            const diff = Math.max(
+                Math.abs(pixels1[i] - pixels2[i]),
+                Math.abs(pixels1[i + 1] - pixels2[i + 1]),
+                Math.abs(pixels1[i + 2] - pixels2[i + 2])
+            ) / 255;
+            totalDiff += diff;
+            if (diff > pixelThreshold) changedPixels++;
+            // Faded greyscale of the first image, tinted red by the amount of change
+            const faded = 180 + 0.25 * (0.299 * pixels1[i] + 0.587 * pixels1[i + 1] + 0.114 * pixels1[i + 2]);
+            heatmap.data[i] = faded + (255 - faded) * diff;
+            heatmap.data[i + 1] = faded * (1 - diff);
+            heatmap.data[i + 2] = faded * (1 - diff);
+            heatmap.data[i + 3] = 255;
+        }
+        heatmapContext.putImageData(heatmap, 0, 0);
+
+        return {
+            hash1: differenceHash(img1),
+            hash2: differenceHash(img2),
+            width1: img1.naturalWidth,
+            height1: img1.naturalHeight,
+            width2: img2.naturalWidth,
+            height2: img2.naturalHeight,
+            changedPixels: changedPixels,
+            totalPixels: width * height,
+            meanDiff: totalDiff / (width * height),
+            heatmapDataUrl: heatmapCanvas.toDataURL('image/png')
+        };
+    }, dataUrl1, dataUrl2, IMAGE_DIFF_MAX_SIDE, IMAGE_DIFF_PIXEL_THRESHOLD);
+}
+
+// Helper function to compare one image pair
+// storeHeatmap(buffer) keeps the heatmap PNG of a pair that is not identical and returns its URL
+async function compareImagePair(page, url1, url2, storeHeatmap) {
+    const result = {
+        url1: url1,
+        url2: url2,
+        classification: null,
+        byteIdentical: false,
+        hash1: null,
+        hash2: null,
+        hashDistance: null,
+        changedShare: null,
+        meanDiff: null,
+        width1: null,
+        height1: null,
+        width2: null,
+        height2: null,
+        heatmapUrl: null,
+        error: null
+    };
+    try {
+        const [image1, image2] = await Promise.all([downloadImageDataUrl(url1), downloadImageDataUrl(url2)]);
+        const diff = await diffImagesInPage(page, image1.dataUrl, image2.dataUrl);
+        result.byteIdentical = image1.buffer.equals(image2.buffer);
+        result.hash1 = diff.hash1;
+        result.hash2 = diff.hash2;
+        result.hashDistance = getHashDistance(diff.hash1, diff.hash2);
+        result.changedShare = Math.round(diff.changedPixels / diff.totalPixels * 10000) / 10000;
+        result.meanDiff = Math.round(diff.meanDiff * 10000) / 10000;
+        result.width1 = diff.width1;
+        result.height1 = diff.height1;
+        result.width2 = diff.width2;
+        result.height2 = diff.height2;
+        result.classification = classifyImagePair({
+            byteIdentical: result.byteIdentical,
+            hashDistance: result.hashDistance,
+            changedShare: result.changedShare,
+            sameSize: diff.width1 === diff.width2 && diff.height1 === diff.height2
         });
-        console.log(`====================\n`);
+        // Identical images need no heatmap
+        if (result.classification !== 'identical') {
+            result.heatmapUrl = storeHeatmap(Buffer.from(diff.heatmapDataUrl.split(',')[1], 'base64'));
+        }
+    } catch (error) {
+        result.error = error.name === 'TimeoutError' ? `No response within ${IMAGE_DOWNLOAD_TIMEOUT_MS / 1000}s` : (error.cause?.code || error.cause?.message || error.message);
+    }
+    return result;
+}
 
-        // Build response safely
-        try {
-            const response = { 
-                ok: true, 
-                count: jvxFrames.length, 
-                frames: jvxFrames || [], 
-                hlMatches: hlMatches || [],
-                frameStructure: frameStructure || [],
-                previewVariationTitles: previewVariationTitles || [],
-                creatives: creatives || [],
-                summary: {
-                    totalFrames: frames.length,
-                    jvxBaseFrames: jvxFrames.length,
-                    framesWithHLMatches: hlMatches.length,
-                    totalHLMatches: hlMatches.reduce((sum, h) => sum + (h.matches ? h.matches.length : 0), 0),
-                    totalCreatives: creatives.length
-                }
-            };
-            
-            console.log('Sending successful response with:', {
-                jvxBaseCount: jvxFrames.length,
-                hlMatchesCount: hlMatches.length,
-                frameStructureCount: frameStructure.length
-            });
-            
-            return res.json(response);
-        } catch (responseError) {
-            console.error('Error building response:', responseError);
-            throw new Error(`Error building response: ${responseError.message}`);
+// Serve the diff heatmap of one pair of a comparison
+app.get('/api/compare-images/:comparisonId/heatmaps/:index.png', (req, res) => {
+    const heatmaps = heatmapStore.get(req.params.comparisonId);
+    const buffer = heatmaps && heatmaps.get(parseInt(req.params.index, 10));
+    if (!buffer) {
+        return res.status(404).json({ ok: false, error: 'Heatmap not found or expired' });
+    }
+    res.type('png').send(buffer);
+});
+
+// Compare image pairs perceptually (hash + pixel diff)
+app.post('/api/compare-images', async (req, res) => {
+    const pairs = req.body?.pairs;
+    if (!Array.isArray(pairs) || pairs.length === 0) {
+        return res.status(400).json({ ok: false, error: 'Missing or empty pairs array in request body' });
+    }
+    if (pairs.length > IMAGE_COMPARE_MAX_PAIRS) {
+        return res.status(400).json({ ok: false, error: `Too many image pairs (${pairs.length}), the limit is ${IMAGE_COMPARE_MAX_PAIRS}` });
+    }
+    if (pairs.some(pair => !pair || !pair.url1 || !pair.url2)) {
+        return res.status(400).json({ ok: false, error: 'Every pair needs url1 and url2' });
+    }
+
+    let context = null;
+    try {
+        context = await acquireBrowserContext();
+        const page = await context.newPage();
+
+        const comparisonId = createHeatmapComparison();
+        const storeHeatmap = index => buffer => {
+            const heatmaps = heatmapStore.get(comparisonId);
+            if (heatmaps) heatmaps.set(index, buffer);
+            return `/api/compare-images/${comparisonId}/heatmaps/${index}.png`;
+        };
+        const results = await mapWithConcurrency(pairs, URL_PROBE_CONCURRENCY, (pair, index) =>
+            compareImagePair(page, String(pair.url1).trim(), String(pair.url2).trim(), storeHeatmap(index))
+        );
+
+        console.log(`Compared ${results.length} image pairs: ${results.filter(r => r.classification === 'different').length} different`);
+        res.json({ ok: true, results: results });
+    } catch (error) {
+        console.error('Error comparing images:', error);
+        res.status(500).json({ ok: false, error: error.message });
+    } finally {
+        await releaseBrowserContext(context);
+    }
+});
+
+// ============================================
+// RUN HISTORY
+// ============================================
+// Every finished check is saved as one JSON file in RUN_HISTORY_DIR: check type, source (sheet ID/gid, file name
+// or preview URL), timestamp, counts, findings and the rendered result so it can be reopened later.
+// Findings carry a key that stays the same between runs (location + kind of issue), so two runs of the same
+// check and source can be diffed into fixed, new and remaining findings.
+const RUN_HISTORY_DIR = process.env.RUN_HISTORY_DIR || path.join(DATA_DIR, 'run-history');
+const RUN_HISTORY_MAX_RUNS = 500; // Oldest runs are deleted beyond this
+const RUN_ID_PATTERN = /^\d{13}-[0-9a-f]{8}$/;
+// Listings read the run summaries from one index file, so they never load the findings and rendered results
+const RUN_INDEX_PATH = path.join(RUN_HISTORY_DIR, 'index.json');
+
+// Helper function to build the key that identifies "the same sheet" across runs
+function getRunSourceKey(source) {
+    const parts = [];
+    if (source.spreadsheetId) {
+        parts.push(`gsheet:${source.spreadsheetId}${source.gid ? `:${source.gid}` : ''}`);
+    }
+    if (source.fileName) {
+        parts.push(`file:${source.fileName}`);
+    }
+    if (source.url) {
+        parts.push(`url:${source.url}`);
+    }
+    return parts.join('|') || 'unknown';
+}
+
+// Helper function to read one stored run (null if it does not exist)
+function readRun(runId) {
+    if (!RUN_ID_PATTERN.test(runId)) {
+        return null;
+    }
+    const runPath = path.join(RUN_HISTORY_DIR, `${runId}.json`);
+    if (!fs.existsSync(runPath)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(runPath, 'utf8'));
+}
+
+// Helper function to list the ids of all stored runs, newest first (ids start with the timestamp)
+function listRunIds() {
+    if (!fs.existsSync(RUN_HISTORY_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(RUN_HISTORY_DIR)
+        .filter(name => name.endsWith('.json'))
+        .map(name => name.slice(0, -5))
+        .filter(runId => RUN_ID_PATTERN.test(runId))
+        .sort()
+        .reverse();
+}
+
+// Helper function to strip the findings and rendered result from a run for listings
+function summarizeRun(run) {
+    return {
+        id: run.id,
+        checkType: run.checkType,
+        checkName: run.checkName,
+        source: run.source,
+        sourceKey: run.sourceKey,
+        createdAt: run.createdAt,
+        counts: run.counts,
+        findingCount: run.findings.length
+    };
+}
+
+// Helper function to read the summaries of all stored runs, newest first
+// A missing index (runs saved by an older version) is rebuilt once from the run files
+function readRunIndex() {
+    if (fs.existsSync(RUN_INDEX_PATH)) {
+        return JSON.parse(fs.readFileSync(RUN_INDEX_PATH, 'utf8'));
+    }
+    const runSummaries = listRunIds().map(readRun).filter(Boolean).map(summarizeRun);
+    if (runSummaries.length > 0) {
+        fs.writeFileSync(RUN_INDEX_PATH, JSON.stringify(runSummaries));
+    }
+    return runSummaries;
+}
+
+// Helper function to diff the findings of two runs by key (older run -> newer run)
+function diffRuns(olderRun, newerRun) {
+    const olderKeys = new Set(olderRun.findings.map(finding => finding.key));
+    const newerKeys = new Set(newerRun.findings.map(finding => finding.key));
+    return {
+        fixed: olderRun.findings.filter(finding => !newerKeys.has(finding.key)),
+        introduced: newerRun.findings.filter(finding => !olderKeys.has(finding.key)),
+        remaining: newerRun.findings.filter(finding => olderKeys.has(finding.key))
+    };
+}
+
+// Helper function to build the consolidated report of a source: the latest run of every check on it
+function buildSourceReport(sourceKey) {
+    const latestRuns = new Map();
+    for (const runSummary of readRunIndex()) {
+        if (runSummary.sourceKey !== sourceKey || latestRuns.has(runSummary.checkType)) continue;
+        const run = readRun(runSummary.id);
+        if (run) latestRuns.set(run.checkType, run);
+    }
+    if (latestRuns.size === 0) {
+        return null;
+    }
+
+    const checks = Array.from(latestRuns.values()).map(run => ({
+        checkType: run.checkType,
+        checkName: run.checkName,
+        runId: run.id,
+        createdAt: run.createdAt,
+        counts: run.counts,
+        findings: run.findings
+    }));
+    return {
+        generatedAt: new Date().toISOString(),
+        source: latestRuns.values().next().value.source,
+        sourceKey: sourceKey,
+        totals: {
+            checks: checks.length,
+            checksWithIssues: checks.filter(check => check.findings.length > 0).length,
+            issues: checks.reduce((sum, check) => sum + check.findings.length, 0)
+        },
+        checks: checks
+    };
+}
+
+// Save a finished check run
+app.post('/api/runs', (req, res) => {
+    try {
+        const { checkType, checkName, source, counts, findings, resultHtml } = req.body || {};
+        if (!checkType || typeof checkType !== 'string') {
+            return res.status(400).json({ ok: false, error: 'Missing checkType' });
+        }
+        if (!source || typeof source !== 'object') {
+            return res.status(400).json({ ok: false, error: 'Missing source' });
+        }
+        if (!Array.isArray(findings) || findings.some(finding => !finding || typeof finding.key !== 'string')) {
+            return res.status(400).json({ ok: false, error: 'findings must be an array of objects with a key' });
         }
 
-    } catch (err) {
-        console.error('Error in /api/count:', err);
-        console.error('Error stack:', err.stack);
-        console.error('Error details:', {
-            message: err.message,
-            name: err.name,
-            code: err.code
+        const createdAt = new Date();
+        const run = {
+            id: `${createdAt.getTime()}-${crypto.randomBytes(4).toString('hex')}`,
+            checkType: checkType,
+            checkName: checkName || checkType,
+            source: source,
+            sourceKey: getRunSourceKey(source),
+            createdAt: createdAt.toISOString(),
+            counts: counts || {},
+            findings: findings,
+            resultHtml: typeof resultHtml === 'string' ? resultHtml : ''
+        };
+
+        fs.mkdirSync(RUN_HISTORY_DIR, { recursive: true });
+        const runSummaries = readRunIndex().filter(runSummary => runSummary.id !== run.id);
+        fs.writeFileSync(path.join(RUN_HISTORY_DIR, `${run.id}.json`), JSON.stringify(run));
+
+        // Keep the store bounded
+        runSummaries.unshift(summarizeRun(run));
+        fs.writeFileSync(RUN_INDEX_PATH, JSON.stringify(runSummaries.slice(0, RUN_HISTORY_MAX_RUNS)));
+        listRunIds().slice(RUN_HISTORY_MAX_RUNS).forEach(oldRunId => {
+            fs.unlinkSync(path.join(RUN_HISTORY_DIR, `${oldRunId}.json`));
         });
-        
-        if (browser) {
-            try { 
-                await browser.close(); 
-            } catch (e) {
-                console.error('Error closing browser:', e);
-            }
+
+        console.log(`Saved ${run.checkType} run ${run.id} (${run.findings.length} findings)`);
+        res.json({ ok: true, run: summarizeRun(run) });
+    } catch (error) {
+        console.error('Error saving run:', error);
+        res.status(500).json({ ok: false, error: error.message });
+    }
+});
+
+// List saved runs, newest first (optional filters: checkType, sourceKey)
+app.get('/api/runs', (req, res) => {
+    try {
+        const runs = readRunIndex().filter(runSummary =>
+            (!req.query.checkType || runSummary.checkType === req.query.checkType) &&
+            (!req.query.sourceKey || runSummary.sourceKey === req.query.sourceKey)
+        );
+        res.json({ ok: true, runs: runs });
+    } catch (error) {
+        console.error('Error listing runs:', error);
+        res.status(500).json({ ok: false, error: error.message });
+    }
+});
+
+// Consolidated report of a source: the findings of the latest run of every check on it
+app.get('/api/report', (req, res) => {
+    try {
+        if (!req.query.sourceKey) {
+            return res.status(400).json({ ok: false, error: 'Missing sourceKey' });
         }
-        
-        // Provide more helpful error messages
-        let errorMessage = err.message || 'Unknown error';
-        if (errorMessage.includes('ECONNRESET')) {
-            errorMessage = 'Connection was reset by the server. The website may be blocking automated requests, the URL may be unreachable, or there may be network issues. Please try again or check if the URL is accessible.';
-        } else if (errorMessage.includes('ECONNREFUSED')) {
-            errorMessage = 'Connection refused. The server may be down or the URL may be incorrect.';
-        } else if (errorMessage.includes('ETIMEDOUT') || errorMessage.includes('timeout')) {
-            errorMessage = 'Request timed out. The website took too long to respond. Please try again.';
-        } else if (errorMessage.includes('net::ERR')) {
-            errorMessage = `Network error: ${errorMessage}. Please check if the URL is correct and accessible.`;
-        } else if (errorMessage.includes('Protocol error') || errorMessage.includes('Target closed')) {
-            errorMessage = 'Browser connection lost. This may happen if the page takes too long to load. Please try again.';
-        } else if (errorMessage.includes('Navigation failed')) {
-            errorMessage = `Navigation failed: ${errorMessage}. The page may be blocking automated access or may require authentication.`;
+        const report = buildSourceReport(req.query.sourceKey);
+        if (!report) {
+            return res.status(404).json({ ok: false, error: 'No runs found for this source' });
         }
-        
-        // Log the full error for debugging
-        console.error('Sending error response:', errorMessage);
-        
-        return res.status(500).json({ ok: false, error: errorMessage });
+        res.json({ ok: true, report: report });
+    } catch (error) {
+        console.error('Error building report:', error);
+        res.status(500).json({ ok: false, error: error.message });
+    }
+});
+
+// Get one saved run with its findings and rendered result
+app.get('/api/runs/:runId', (req, res) => {
+    try {
+        const run = readRun(req.params.runId);
+        if (!run) {
+            return res.status(404).json({ ok: false, error: 'Run not found' });
+        }
+        res.json({ ok: true, run: run });
+    } catch (error) {
+        console.error('Error reading run:', error);
+        res.status(500).json({ ok: false, error: error.message });
+    }
+});
+
+// Diff two runs of the same check and source: fixed, newly introduced and remaining findings
+app.get('/api/runs/:runId/diff/:otherRunId', (req, res) => {
+    try {
+        const run = readRun(req.params.runId);
+        const otherRun = readRun(req.params.otherRunId);
+        if (!run || !otherRun) {
+            return res.status(404).json({ ok: false, error: 'Run not found' });
+        }
+        if (run.checkType !== otherRun.checkType || run.sourceKey !== otherRun.sourceKey) {
+            return res.status(400).json({ ok: false, error: 'Only runs of the same check on the same sheet can be compared' });
+        }
+
+        const [olderRun, newerRun] = run.createdAt <= otherRun.createdAt ? [run, otherRun] : [otherRun, run];
+        const diff = diffRuns(olderRun, newerRun);
+        res.json({
+            ok: true,
+            olderRun: summarizeRun(olderRun),
+            newerRun: summarizeRun(newerRun),
+            fixed: diff.fixed,
+            introduced: diff.introduced,
+            remaining: diff.remaining
+        });
+    } catch (error) {
+        console.error('Error comparing runs:', error);
+        res.status(500).json({ ok: false, error: error.message });
     }
 });
 
@@ -2224,6 +4016,145 @@ app.get('/api/get-sheets/:spreadsheetId', async (req, res) => {
     }
 });
 
+// Read cell values for every tab (or a single tab via ?gid= or its position via ?index=) of a spreadsheet
+// Returns each tab as a 2D array (first row = headers, empty cells = null), the same
+// shape the client-side find* checks get from XLSX.utils.sheet_to_json(..., { header: 1, defval: null })
+// Values are typed like the old CSV/XLSX import: numbers stay numbers (4.9% is 0.049), dates are serial numbers
+// and only text cells are strings. formattedData has the same shape with the text each cell shows ("4,9 %"),
+// for the checks that validate what is written in the cell
+app.get('/api/sheet-values/:spreadsheetId', async (req, res) => {
+    try {
+        const { spreadsheetId } = req.params;
+        const { gid, index } = req.query;
+
+        if (!spreadsheetId) {
+            return res.status(400).json({ error: 'Missing spreadsheetId' });
+        }
+        if (gid !== undefined && gid !== '' && isNaN(parseInt(gid))) {
+            return res.status(400).json({ error: 'Invalid gid (must be a number)' });
+        }
+        if (index !== undefined && index !== '' && isNaN(parseInt(index))) {
+            return res.status(400).json({ error: 'Invalid index (must be a number)' });
+        }
+
+        // Get authentication
+        const auth = serviceAccountAuth || oauth2Client;
+        if (!auth) {
+            return res.status(401).json({
+                error: 'Authentication not configured. Please set up Google credentials.'
+            });
+        }
+
+        // Ensure we have valid credentials
+        if (oauth2Client && !serviceAccountAuth && !oauth2Client.credentials) {
+            return res.status(401).json({
+                error: 'Not authenticated. Please authorize first.',
+                authUrl: `/auth`
+            });
+        }
+
+        const sheets = google.sheets({ version: 'v4', auth });
+
+        // Get spreadsheet metadata (tab titles and gids)
+        const metaResponse = await sheets.spreadsheets.get({
+            spreadsheetId: spreadsheetId,
+            fields: 'sheets.properties'
+        });
+
+        let tabs = metaResponse.data.sheets.map(sheet => ({
+            sheetId: sheet.properties.sheetId,
+            title: sheet.properties.title,
+            index: sheet.properties.index
+        }));
+
+        if (gid !== undefined && gid !== '') {
+            const requestedGid = parseInt(gid);
+            tabs = tabs.filter(tab => tab.sheetId === requestedGid);
+            if (tabs.length === 0) {
+                return res.status(404).json({ error: `No sheet with gid ${requestedGid} found in spreadsheet` });
+            }
+        } else if (index !== undefined && index !== '') {
+            const requestedIndex = parseInt(index);
+            tabs = tabs.filter(tab => tab.index === requestedIndex);
+            if (tabs.length === 0) {
+                return res.status(404).json({ error: `No sheet at index ${requestedIndex} found in spreadsheet` });
+            }
+        }
+
+        if (tabs.length === 0) {
+            return res.json({ success: true, spreadsheetId: spreadsheetId, sheets: [] });
+        }
+
+        // Read all requested tabs in one call per rendering (typed values and displayed text)
+        // Sheet titles are quoted so names with spaces or special characters work as ranges
+        const ranges = tabs.map(tab => `'${tab.title.replace(/'/g, "''")}'`);
+        const [valuesResponse, formattedResponse] = await Promise.all([
+            sheets.spreadsheets.values.batchGet({
+                spreadsheetId: spreadsheetId,
+                ranges: ranges,
+                valueRenderOption: 'UNFORMATTED_VALUE',
+                dateTimeRenderOption: 'SERIAL_NUMBER',
+                majorDimension: 'ROWS'
+            }),
+            sheets.spreadsheets.values.batchGet({
+                spreadsheetId: spreadsheetId,
+                ranges: ranges,
+                valueRenderOption: 'FORMATTED_VALUE',
+                majorDimension: 'ROWS'
+            })
+        ]);
+
+        const valueRanges = valuesResponse.data.valueRanges || [];
+        const formattedRanges = formattedResponse.data.valueRanges || [];
+
+        const sheetValues = tabs.map((tab, tabIndex) => {
+            const rawRows = (valueRanges[tabIndex] && valueRanges[tabIndex].values) || [];
+            const formattedRows = (formattedRanges[tabIndex] && formattedRanges[tabIndex].values) || [];
+
+            // The API omits trailing empty cells, so pad every row to the widest row
+            const width = rawRows.concat(formattedRows).reduce((max, row) => Math.max(max, row.length), 0);
+            const height = Math.max(rawRows.length, formattedRows.length);
+            const padRows = (rows) => {
+                const paddedRows = [];
+                for (let r = 0; r < height; r++) {
+                    const row = rows[r] || [];
+                    const paddedRow = [];
+                    for (let c = 0; c < width; c++) {
+                        const value = row[c];
+                        paddedRow.push(value === undefined || value === '' ? null : value);
+                    }
+                    paddedRows.push(paddedRow);
+                }
+                return paddedRows;
+            };
+
+            return {
+                sheetId: tab.sheetId,
+                title: tab.title,
+                index: tab.index,
+                data: padRows(rawRows),
+                formattedData: padRows(formattedRows)
+            };
+        });
+
+        console.log(`Read ${sheetValues.length} sheet(s) from ${spreadsheetId}:`, sheetValues.map(s => `${s.title} (${s.data.length} rows)`));
+
+        res.json({
+            success: true,
+            spreadsheetId: spreadsheetId,
+            sheets: sheetValues
+        });
+
+    } catch (error) {
+        console.error('Error reading sheet values:', error);
+        const status = error.code === 403 || error.code === 404 ? error.code : 500;
+        res.status(status).json({
+            error: error.message || 'Failed to read sheet values',
+            details: error.response?.data || error
+        });
+    }
+});
+
 // OAuth2 authorization endpoint
 app.get('/auth', (req, res) => {
     if (!oauth2Client) {
@@ -2273,20 +4204,36 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'Index.html'));
 });
 
-app.listen(PORT, () => {
-    console.log(`🚀 Server running at http://localhost:${PORT}`);
-    console.log(`📝 Open http://localhost:${PORT} in your browser`);
-    
-    if (!serviceAccountAuth && !oauth2Client) {
-        console.log('\n⚠️  SETUP REQUIRED:');
-        console.log('Option 1 - Service Account (Recommended):');
-        console.log('  1. Create a service account in Google Cloud Console');
-        console.log('  2. Download the JSON key file');
-        console.log('  3. Save it as "service-account.json" in this directory');
-        console.log('  4. Share your Google Sheet with the service account email');
-        console.log('\nOption 2 - OAuth2:');
-        console.log('  1. Set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET environment variables');
-        console.log('  2. Visit http://localhost:3000/auth to authorize');
+// Close the pooled browser when the server stops
+process.on('SIGINT', async () => {
+    if (browserPool.browser) {
+        try {
+            await browserPool.browser.close();
+        } catch (e) {
+            // Ignore errors while shutting down
+        }
     }
+    process.exit(0);
 });
 
+// Start the server when run directly; when required (e.g. by the tests in test/) only the helpers are exported
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`🚀 Server running at http://localhost:${PORT}`);
+        console.log(`📝 Open http://localhost:${PORT} in your browser`);
+    
+        if (!serviceAccountAuth && !oauth2Client) {
+            console.log('\n⚠️  SETUP REQUIRED:');
+            console.log('Option 1 - Service Account (Recommended):');
+            console.log('  1. Create a service account in Google Cloud Console');
+            console.log('  2. Download the JSON key file');
+            console.log('  3. Save it as "service-account.json" in this directory');
+            console.log('  4. Share your Google Sheet with the service account email');
+            console.log('\nOption 2 - OAuth2:');
+            console.log('  1. Set GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET environment variables');
+            console.log('  2. Visit http://localhost:3000/auth to authorize');
+        }
+    });
+}
+
+module.exports = { parseElementPatterns, readinessChecks, parseNoBreakPhrase, probeUrl, getImageDimensions, classifyLogoPixelCounts, getHashDistance, classifyImagePair, mergeCellsIntoRanges, buildCellFormatRequests, withQuotaRetry, batchUpdateInChunks, writeValidationTab, writeLegendRow };
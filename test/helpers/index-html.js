@@ -0,0 +1,58 @@
+const fs = require('fs');
+const path = require('path');
+
+const INDEX_HTML = fs.readFileSync(path.join(__dirname, '..', '..', 'Index.html'), 'utf8');
+
+// Helper function to cut one top-level declaration of the page script out of Index.html:
+// "function name(...) {...}" up to its closing brace, or "const name = ...;" up to its closing semicolon
+function extractDeclaration(name) {
+    const match = new RegExp(`\\n[ \\t]*((?:async )?function ${name}\\(|const ${name} = )`).exec(INDEX_HTML);
+    if (!match) {
+        throw new Error(`${name} not found in Index.html`);
+    }
+    const start = match.index + match[0].indexOf(match[1]);
+    const isFunction = match[1].includes('function');
+    let depth = 0;
+    let quote = null;
+    for (let i = start; i < INDEX_HTML.length; i++) {
+        const char = INDEX_HTML[i];
+        if (quote) {
+            if (char === '\\') i++;
+            else if (char === quote) quote = null;
+            continue;
+        }
+        if (char === '\'' || char === '"' || char === '`') {
+            quote = char;
+        } else if (char === '/' && INDEX_HTML[i + 1] === '/') {
+            i = INDEX_HTML.indexOf('\n', i);
+        } else if (char === '/' && /[(,=:[!&|?{};]$/.test(INDEX_HTML.slice(start, i).trimEnd())) {
+            // Regex literal: skip to its closing slash (quotes and brackets inside it do not count)
+            let inClass = false;
+            for (i++; i < INDEX_HTML.length; i++) {
+                if (INDEX_HTML[i] === '\\') i++;
+                else if (INDEX_HTML[i] === '[') inClass = true;
+                else if (INDEX_HTML[i] === ']') inClass = false;
+                else if (INDEX_HTML[i] === '/' && !inClass) break;
+            }
+        } else if (char === '{' || char === '[' || char === '(') {
+            depth++;
+        } else if (char === '}' || char === ']' || char === ')') {
+            depth--;
+            if (isFunction && depth === 0 && char === '}') {
+                return INDEX_HTML.slice(start, i + 1);
+            }
+        } else if (!isFunction && depth === 0 && char === ';') {
+            return INDEX_HTML.slice(start, i + 1);
+        }
+    }
+    throw new Error(`End of ${name} not found in Index.html`);
+}
+
+// Load the named functions and constants of the Index.html page script (dependencies first) so they can be tested in Node
+// They run in the test's own realm, so their arrays and objects compare with assert.deepStrictEqual
+function loadIndexFunctions(names) {
+    const source = names.map(extractDeclaration).join('\n') + `\nreturn { ${names.join(', ')} };`;
+    return new Function(source)();
+}
+
+module.exports = { loadIndexFunctions };
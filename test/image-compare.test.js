@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { getHashDistance, classifyImagePair } = require('../server.js');
+
+test('getHashDistance counts the differing bits of two hex hashes', () => {
+    assert.strictEqual(getHashDistance('0000000000000000', '0000000000000000'), 0);
+    assert.strictEqual(getHashDistance('000000000000000f', '0000000000000000'), 4);
+    assert.strictEqual(getHashDistance('ffffffffffffffff', '0000000000000000'), 64);
+    assert.strictEqual(getHashDistance('a5a5a5a5a5a5a5a5', '5a5a5a5a5a5a5a5a'), 64);
+});
+
+test('classifyImagePair tells identical, similar and different pairs apart', () => {
+    assert.strictEqual(classifyImagePair({ byteIdentical: true, hashDistance: 0, changedShare: 0, sameSize: true }), 'identical');
+    assert.strictEqual(classifyImagePair({ byteIdentical: false, hashDistance: 0, changedShare: 0, sameSize: true }), 'identical');
+    // Same pixels at another size (re-exported asset) is similar, not identical
+    assert.strictEqual(classifyImagePair({ byteIdentical: false, hashDistance: 0, changedShare: 0, sameSize: false }), 'similar');
+    assert.strictEqual(classifyImagePair({ byteIdentical: false, hashDistance: 10, changedShare: 0.05, sameSize: true }), 'similar');
+    assert.strictEqual(classifyImagePair({ byteIdentical: false, hashDistance: 11, changedShare: 0.01, sameSize: true }), 'different');
+    assert.strictEqual(classifyImagePair({ byteIdentical: false, hashDistance: 2, changedShare: 0.2, sameSize: true }), 'different');
+});
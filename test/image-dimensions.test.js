@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { getImageDimensions } = require('../server.js');
+
+// Helper function to build a PNG header (signature + IHDR) of the given size
+function createPngHeader(width, height) {
+    const buffer = Buffer.alloc(33);
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]).copy(buffer, 0);
+    buffer.writeUInt32BE(13, 8);
+    buffer.write('IHDR', 12, 'ascii');
+    buffer.writeUInt32BE(width, 16);
+    buffer.writeUInt32BE(height, 20);
+    return buffer;
+}
+
+// Helper function to build a JPEG start: SOI, an APP0 segment to skip, then a SOF0 frame header
+function createJpegHeader(width, height) {
+    const app0 = Buffer.from([0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00]);
+    const sof0 = Buffer.alloc(19);
+    sof0.writeUInt16BE(0xFFC0, 0);
+    sof0.writeUInt16BE(17, 2);
+    sof0[4] = 8;
+    sof0.writeUInt16BE(height, 5);
+    sof0.writeUInt16BE(width, 7);
+    return Buffer.concat([Buffer.from([0xFF, 0xD8]), app0, sof0]);
+}
+
+// Helper function to build a WebP header with the given chunk type and chunk bytes from offset 20
+function createWebpHeader(chunkType, writeChunk) {
+    const buffer = Buffer.alloc(32);
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.write('WEBP', 8, 'ascii');
+    buffer.write(chunkType, 12, 'ascii');
+    writeChunk(buffer);
+    return buffer;
+}
+
+test('getImageDimensions reads PNG, GIF and BMP headers', () => {
+    assert.deepStrictEqual(getImageDimensions(createPngHeader(320, 160)), { format: 'png', width: 320, height: 160 });
+
+    const gif = Buffer.alloc(13);
+    gif.write('GIF89a', 0, 'ascii');
+    gif.writeUInt16LE(728, 6);
+    gif.writeUInt16LE(90, 8);
+    assert.deepStrictEqual(getImageDimensions(gif), { format: 'gif', width: 728, height: 90 });
+
+    const bmp = Buffer.alloc(30);
+    bmp.write('BM', 0, 'ascii');
+    bmp.writeInt32LE(160, 18);
+    bmp.writeInt32LE(-600, 22); // Top-down bitmaps store a negative height
+    assert.deepStrictEqual(getImageDimensions(bmp), { format: 'bmp', width: 160, height: 600 });
+});
+
+test('getImageDimensions walks the JPEG markers to the frame header', () => {
+    assert.deepStrictEqual(getImageDimensions(createJpegHeader(970, 250)), { format: 'jpeg', width: 970, height: 250 });
+});
+
+test('getImageDimensions reads lossy, lossless and extended WebP headers', () => {
+    const lossy = createWebpHeader('VP8 ', buffer => {
+        buffer.writeUInt16LE(300, 26);
+        buffer.writeUInt16LE(250, 28);
+    });
+    const lossless = createWebpHeader('VP8L', buffer => {
+        buffer.writeUInt32LE((300 - 1) | ((600 - 1) << 14), 21);
+    });
+    const extended = createWebpHeader('VP8X', buffer => {
+        buffer.writeUIntLE(980 - 1, 24, 3);
+        buffer.writeUIntLE(240 - 1, 27, 3);
+    });
+
+    assert.deepStrictEqual(getImageDimensions(lossy), { format: 'webp', width: 300, height: 250 });
+    assert.deepStrictEqual(getImageDimensions(lossless), { format: 'webp', width: 300, height: 600 });
+    assert.deepStrictEqual(getImageDimensions(extended), { format: 'webp', width: 980, height: 240 });
+});
+
+test('getImageDimensions reads SVG sizes from width/height or the viewBox', () => {
+    const sized = Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg" width="320px" height="100"></svg>');
+    const viewBoxOnly = Buffer.from('<svg viewBox="0 0 212 182" xmlns="http://www.w3.org/2000/svg"><path d=""/></svg>');
+
+    assert.deepStrictEqual(getImageDimensions(sized), { format: 'svg', width: 320, height: 100 });
+    assert.deepStrictEqual(getImageDimensions(viewBoxOnly), { format: 'svg', width: 212, height: 182 });
+});
+
+test('getImageDimensions returns null for anything else', () => {
+    assert.strictEqual(getImageDimensions(Buffer.from('<!DOCTYPE html><html><body>Not found</body></html>')), null);
+    assert.strictEqual(getImageDimensions(Buffer.from([0xFF, 0xD8, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00])), null);
+    assert.strictEqual(getImageDimensions(Buffer.alloc(0)), null);
+});
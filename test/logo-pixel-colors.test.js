@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { classifyLogoPixelCounts } = require('../server.js');
+
+test('classifyLogoPixelCounts calls a logo white or black from 60% of its opaque pixels', () => {
+    assert.deepStrictEqual(classifyLogoPixelCounts({ opaquePixels: 1000, whitePixels: 600, blackPixels: 0 }), {
+        pixelColor: 'white',
+        whiteShare: 0.6,
+        blackShare: 0,
+        error: null
+    });
+    assert.strictEqual(classifyLogoPixelCounts({ opaquePixels: 1000, whitePixels: 10, blackPixels: 875 }).pixelColor, 'black');
+    assert.strictEqual(classifyLogoPixelCounts({ opaquePixels: 1000, whitePixels: 599, blackPixels: 401 }).pixelColor, 'mixed');
+});
+
+test('classifyLogoPixelCounts reports a fully transparent logo', () => {
+    assert.deepStrictEqual(classifyLogoPixelCounts({ opaquePixels: 0, whitePixels: 0, blackPixels: 0 }), {
+        pixelColor: null,
+        whiteShare: 0,
+        blackShare: 0,
+        error: 'Logo has no opaque pixels'
+    });
+});
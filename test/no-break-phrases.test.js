@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseNoBreakPhrase } = require('../server.js');
+
+test('parseNoBreakPhrase escapes plain phrases and matches them case-insensitively', () => {
+    const rule = parseNoBreakPhrase('  MAZDA   CX-60 (2024) ');
+
+    assert.deepStrictEqual(rule, {
+        label: 'MAZDA CX-60 (2024)',
+        type: 'phrase',
+        source: 'MAZDA CX-60 \\(2024\\)',
+        flags: 'i',
+        caseSensitive: false
+    });
+    assert.ok(new RegExp(rule.source, rule.flags).test('the mazda cx-60 (2024) is here'));
+});
+
+test('parseNoBreakPhrase keeps case-sensitive phrases case-sensitive', () => {
+    const rule = parseNoBreakPhrase({ phrase: 'Mazda Motors UK Ltd', caseSensitive: true });
+
+    assert.strictEqual(rule.flags, '');
+    assert.strictEqual(new RegExp(rule.source, rule.flags).test('MAZDA MOTORS UK LTD'), false);
+});
+
+test('parseNoBreakPhrase takes regexes as they are, without the global and sticky flags', () => {
+    const rule = parseNoBreakPhrase({ regex: '€ ?\\d+', label: '€ price', flags: 'gym' });
+
+    assert.deepStrictEqual(rule, { label: '€ price', type: 'regex', source: '€ ?\\d+', flags: 'im', caseSensitive: false });
+    assert.strictEqual(parseNoBreakPhrase({ regex: '\\d+%' }).label, '/\\d+%/');
+});
+
+test('parseNoBreakPhrase skips empty phrases and rejects invalid regexes', () => {
+    assert.strictEqual(parseNoBreakPhrase('   '), null);
+    assert.throws(() => parseNoBreakPhrase({ regex: '(unclosed' }), /Invalid no-break regex "\(unclosed"/);
+});
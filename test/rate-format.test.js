@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadIndexFunctions } = require('./helpers/index-html.js');
+
+const { isRateColumn, getRateFormatRule, checkRateFormat } = loadIndexFunctions([
+    'marketNameAliases',
+    'rateFormatRules',
+    'rateColumnTokens',
+    'isRateColumn',
+    'getRateFormatRule',
+    'formatRateForRule',
+    'checkRateFormat'
+]);
+
+test('isRateColumn matches rate headers by whole token', () => {
+    assert.strictEqual(isRateColumn('APR'), true);
+    assert.strictEqual(isRateColumn('TAEG_1'), true);
+    assert.strictEqual(isRateColumn('Sollzins p.a.'), true);
+    assert.strictEqual(isRateColumn('InterestRate'), true);
+    assert.strictEqual(isRateColumn('CORPORATE'), false);
+    assert.strictEqual(isRateColumn('SEPARATE_LINE'), false);
+    assert.strictEqual(isRateColumn('Generated'), false);
+    assert.strictEqual(isRateColumn('LOGO_APR_320x160'), false);
+    assert.strictEqual(isRateColumn(null), false);
+});
+
+test('getRateFormatRule prefers the language variant of a market', () => {
+    assert.strictEqual(getRateFormatRule('BE').market, 'BE');
+    assert.strictEqual(getRateFormatRule('BE_NL').market, 'BE_NL');
+    assert.strictEqual(getRateFormatRule('Belgium').market, 'BE');
+    assert.strictEqual(getRateFormatRule('XX'), null);
+});
+
+test('checkRateFormat accepts rates written the market way', () => {
+    assert.deepStrictEqual(checkRateFormat('4,9 %', getRateFormatRule('FR').rule), { isValid: true, issues: [], expected: '4,9 %' });
+    assert.deepStrictEqual(checkRateFormat('TAEG 4,9%', getRateFormatRule('IT').rule), { isValid: true, issues: [], expected: '4,9%' });
+    assert.strictEqual(checkRateFormat('4.9%', getRateFormatRule('GB').rule).isValid, true);
+});
+
+test('checkRateFormat reports the wrong separator, decimals and spacing', () => {
+    const check = checkRateFormat('4.955%', getRateFormatRule('FR').rule);
+
+    assert.strictEqual(check.isValid, false);
+    assert.deepStrictEqual(check.issues, [
+        'uses "." instead of "," as decimal separator',
+        '3 decimals (max 2)',
+        'missing space before %'
+    ]);
+    assert.strictEqual(checkRateFormat('4.9 %', getRateFormatRule('GB').rule).issues[0], 'unexpected space before %');
+    assert.strictEqual(checkRateFormat('% 4,9', getRateFormatRule('IT').rule).issues[0], '% placed before the number in "% 4,9"');
+});
+
+test('checkRateFormat needs a % and skips values without a number', () => {
+    assert.deepStrictEqual(checkRateFormat('4,9', getRateFormatRule('DE').rule), { isValid: false, issues: ['missing %'], expected: '4,9 %' });
+    assert.strictEqual(checkRateFormat('n/a', getRateFormatRule('DE').rule), null);
+});
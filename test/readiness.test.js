@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseElementPatterns, readinessChecks } = require('../server.js');
+
+// Stub of a puppeteer frame: evaluate runs the function against a document holding elements with the given ids
+function createFrame(page, jvxBaseId, elementIds) {
+    const document = {
+        querySelectorAll: (selector) => {
+            if (selector === '[id]') return elementIds.map(id => ({ id }));
+            if (selector === 'iframe[id^="jvxBase_"]') return page.jvxBaseIds.map(id => ({ id }));
+            return [];
+        }
+    };
+    return {
+        parentFrame: () => page.mainFrame(),
+        frameElement: async () => ({ evaluate: async (fn) => fn({ id: jvxBaseId }), dispose: async () => {} }),
+        evaluate: async (fn, ...args) => {
+            global.document = document;
+            try {
+                return fn(...args);
+            } finally {
+                delete global.document;
+            }
+        }
+    };
+}
+
+// Stub of a puppeteer page with one jvxBase_ iframe per entry of framesElementIds
+function createPage(framesElementIds) {
+    const page = { jvxBaseIds: Object.keys(framesElementIds) };
+    const mainFrame = createFrame(page, null, []);
+    const frames = Object.entries(framesElementIds).map(([jvxBaseId, elementIds]) => createFrame(page, jvxBaseId, elementIds));
+    page.mainFrame = () => mainFrame;
+    page.frames = () => [mainFrame, ...frames];
+    page.evaluate = mainFrame.evaluate;
+    return page;
+}
+
+test('hl-elements is ready when every creative has an element matching a configured pattern', async () => {
+    const page = createPage({ jvxBase_1: ['frm5_HL_title'], jvxBase_2: ['BANNER_cta'] });
+    const elementPatterns = parseElementPatterns('frm*_HL_,BANNER_');
+
+    assert.strictEqual(await readinessChecks['hl-elements'](page, {}, {}, elementPatterns), true);
+});
+
+test('hl-elements waits for creatives without a matching element', async () => {
+    const page = createPage({ jvxBase_1: ['frm5_HL_title'], jvxBase_2: ['frm1_SL_copy'] });
+    const elementPatterns = parseElementPatterns('frm*_HL_');
+
+    assert.strictEqual(await readinessChecks['hl-elements'](page, {}, {}, elementPatterns), false);
+});
+
+test('hl-elements does not use the frm1-4 HL ids when other patterns are configured', async () => {
+    const page = createPage({ jvxBase_1: ['frm1_HL_title'] });
+    const elementPatterns = parseElementPatterns('CTA_');
+
+    assert.strictEqual(await readinessChecks['hl-elements'](page, {}, {}, elementPatterns), false);
+});
@@ -0,0 +1,203 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    mergeCellsIntoRanges,
+    buildCellFormatRequests,
+    withQuotaRetry,
+    batchUpdateInChunks,
+    writeValidationTab,
+    writeLegendRow
+} = require('../server.js');
+
+// Helper function to build a Sheets API quota error the way googleapis reports it
+function createQuotaError(retryAfterSeconds) {
+    const error = new Error('Quota exceeded for quota metric \'Write requests\'');
+    error.code = 429;
+    error.response = { status: 429, headers: retryAfterSeconds ? { 'retry-after': String(retryAfterSeconds) } : {} };
+    return error;
+}
+
+// Stub of sheets.spreadsheets.batchUpdate: records the size of every call and fails the calls listed in failures
+// (call number -> error, or a function returning the error for calls that keep failing)
+function createSheetsStub(failures = {}) {
+    const calls = [];
+    return {
+        calls,
+        spreadsheets: {
+            batchUpdate: async (params) => {
+                calls.push(params.resource.requests.length);
+                const failure = failures[calls.length] || (failures.from && calls.length >= failures.from ? failures.error : null);
+                if (failure) throw typeof failure === 'function' ? failure() : failure;
+                return { data: { replies: [] } };
+            }
+        }
+    };
+}
+
+function createRequests(count) {
+    return Array.from({ length: count }, (_, index) => ({ repeatCell: { index } }));
+}
+
+test('mergeCellsIntoRanges merges a block of same-key cells into one rectangle', () => {
+    const cells = [];
+    for (let rowIndex = 1; rowIndex <= 3; rowIndex++) {
+        for (let colIndex = 0; colIndex < 4; colIndex++) {
+            cells.push({ rowIndex, colIndex, key: 'red' });
+        }
+    }
+    cells.push({ rowIndex: 10, colIndex: 2, key: 'red' });
+
+    assert.deepStrictEqual(mergeCellsIntoRanges(cells), [
+        { key: 'red', startRowIndex: 1, endRowIndex: 4, startColumnIndex: 0, endColumnIndex: 4 },
+        { key: 'red', startRowIndex: 10, endRowIndex: 11, startColumnIndex: 2, endColumnIndex: 3 }
+    ]);
+});
+
+test('mergeCellsIntoRanges keeps the last entry of a cell listed twice', () => {
+    const ranges = mergeCellsIntoRanges([
+        { rowIndex: 0, colIndex: 0, key: 'red' },
+        { rowIndex: 0, colIndex: 1, key: 'red' },
+        { rowIndex: 0, colIndex: 1, key: 'green' }
+    ]);
+
+    assert.deepStrictEqual(ranges, [
+        { key: 'red', startRowIndex: 0, endRowIndex: 1, startColumnIndex: 0, endColumnIndex: 1 },
+        { key: 'green', startRowIndex: 0, endRowIndex: 1, startColumnIndex: 1, endColumnIndex: 2 }
+    ]);
+});
+
+test('buildCellFormatRequests writes notes only on the ranges that have one', () => {
+    const requests = buildCellFormatRequests('7', [
+        { rowIndex: 0, colIndex: 0, color: { red: 1 }, note: 'Blank: empty cell' },
+        { rowIndex: 0, colIndex: 1, color: { red: 1 }, note: 'Blank: empty cell' },
+        { rowIndex: 1, colIndex: 0, color: null, note: null }
+    ]);
+
+    assert.strictEqual(requests.length, 2);
+    assert.deepStrictEqual(requests[0].repeatCell.range, { sheetId: 7, startRowIndex: 0, endRowIndex: 1, startColumnIndex: 0, endColumnIndex: 2 });
+    assert.strictEqual(requests[0].repeatCell.fields, 'userEnteredFormat.backgroundColor,note');
+    assert.deepStrictEqual(requests[1].repeatCell.cell, { userEnteredFormat: {} });
+    assert.strictEqual(requests[1].repeatCell.fields, 'userEnteredFormat.backgroundColor');
+});
+
+test('batchUpdateInChunks splits the requests at the batch size', async () => {
+    const exact = createSheetsStub();
+    await batchUpdateInChunks(exact, 'spreadsheet', createRequests(1000), { maxRequests: 500 });
+    assert.deepStrictEqual(exact.calls, [500, 500]);
+
+    const oneOver = createSheetsStub();
+    const progress = await batchUpdateInChunks(oneOver, 'spreadsheet', createRequests(1001), { maxRequests: 500 });
+    assert.deepStrictEqual(oneOver.calls, [500, 500, 1]);
+    assert.deepStrictEqual(progress, { totalRequests: 1001, appliedRequests: 1001, batches: 3, completedBatches: 3, retries: 0 });
+});
+
+test('batchUpdateInChunks retries quota errors with exponential backoff', async () => {
+    const sheets = createSheetsStub({ 2: createQuotaError(), 3: createQuotaError(), 4: createQuotaError() });
+    const delays = [];
+
+    const progress = await batchUpdateInChunks(sheets, 'spreadsheet', createRequests(25), {
+        maxRequests: 10,
+        baseDelayMs: 100,
+        sleep: async (ms) => delays.push(ms)
+    });
+
+    // The second batch failed three times before it went through
+    assert.deepStrictEqual(sheets.calls, [10, 10, 10, 10, 10, 5]);
+    assert.strictEqual(delays.length, 3);
+    delays.forEach((delay, attempt) => {
+        assert.ok(delay >= 100 * Math.pow(2, attempt) && delay < 100 * Math.pow(2, attempt) + 100, `delay ${delay} of attempt ${attempt}`);
+    });
+    assert.deepStrictEqual(progress, { totalRequests: 25, appliedRequests: 25, batches: 3, completedBatches: 3, retries: 3 });
+});
+
+test('batchUpdateInChunks waits for the Retry-After the API asks for', async () => {
+    const sheets = createSheetsStub({ 1: createQuotaError(7) });
+    const delays = [];
+
+    await batchUpdateInChunks(sheets, 'spreadsheet', createRequests(3), { sleep: async (ms) => delays.push(ms) });
+
+    assert.deepStrictEqual(delays, [7000]);
+});
+
+test('batchUpdateInChunks reports the progress so far when a batch keeps failing', async () => {
+    const sheets = createSheetsStub({ from: 3, error: () => createQuotaError() });
+
+    await assert.rejects(
+        batchUpdateInChunks(sheets, 'spreadsheet', createRequests(50), { maxRequests: 10, maxRetries: 2, sleep: async () => {} }),
+        (error) => {
+            assert.strictEqual(error.code, 429);
+            assert.deepStrictEqual(error.progress, { totalRequests: 50, appliedRequests: 20, batches: 5, completedBatches: 2, retries: 2 });
+            return true;
+        }
+    );
+    assert.deepStrictEqual(sheets.calls, [10, 10, 10, 10, 10]);
+});
+
+test('batchUpdateInChunks does not retry other errors', async () => {
+    const badRequest = Object.assign(new Error('Invalid requests[0]'), { code: 400 });
+    const sheets = createSheetsStub({ 1: badRequest });
+
+    await assert.rejects(batchUpdateInChunks(sheets, 'spreadsheet', createRequests(3), { sleep: async () => {} }), (error) => {
+        assert.deepStrictEqual(error.progress, { totalRequests: 3, appliedRequests: 0, batches: 1, completedBatches: 0, retries: 0 });
+        return true;
+    });
+    assert.deepStrictEqual(sheets.calls, [3]);
+});
+
+test('withQuotaRetry returns the result once the call goes through', async () => {
+    let attempts = 0;
+    const result = await withQuotaRetry(async () => {
+        attempts++;
+        if (attempts < 3) throw createQuotaError();
+        return 'done';
+    }, { baseDelayMs: 0, sleep: async () => {} });
+
+    assert.strictEqual(result, 'done');
+    assert.strictEqual(attempts, 3);
+});
+
+// Stub of the Sheets calls of the Validation tab and the legend; the first call of every kind hits the quota
+function createValidationSheetsStub() {
+    const failed = new Set();
+    const written = [];
+    const failOnce = (kind, result) => async (params) => {
+        if (!failed.has(kind)) {
+            failed.add(kind);
+            throw createQuotaError(0.001);
+        }
+        if (kind === 'values.update') written.push(params.resource.values);
+        return result;
+    };
+    return {
+        written,
+        spreadsheets: {
+            get: failOnce('get', { data: { sheets: [{ properties: { sheetId: 0, title: 'DB' } }] } }),
+            batchUpdate: failOnce('batchUpdate', { data: { replies: [{ addSheet: { properties: { sheetId: 42 } } }] } }),
+            values: {
+                get: failOnce('values.get', { data: { values: [] } }),
+                clear: failOnce('values.clear', { data: {} }),
+                update: failOnce('values.update', { data: {} })
+            }
+        }
+    };
+}
+
+test('writeValidationTab retries quota errors', async () => {
+    const sheets = createValidationSheetsStub();
+
+    const result = await writeValidationTab(sheets, 'spreadsheet', 0, 'Blank Space', [{ rowIndex: 4, colIndex: 2, note: 'empty cell' }]);
+
+    assert.deepStrictEqual(result, { title: 'Validation', findings: 1, totalRows: 1 });
+    assert.strictEqual(sheets.written[0][1][2], '=HYPERLINK("#gid=0&range=C5", "DB!C5")');
+});
+
+test('writeLegendRow retries quota errors and writes to the Validation tab', async () => {
+    const sheets = createValidationSheetsStub();
+    const palette = { pass: { green: 1 }, warning: { red: 1, green: 0.5 }, fail: { red: 1 }, info: { blue: 1 } };
+
+    const legend = await writeLegendRow(sheets, 'spreadsheet', 'Blank Space', palette);
+
+    assert.deepStrictEqual(legend, { title: 'Validation', range: 'G1:K1' });
+    assert.deepStrictEqual(sheets.written[0], [['Validation legend: Blank Space', 'Pass', 'Warning', 'Fail', 'Info']]);
+});
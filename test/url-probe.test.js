@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { probeUrl } = require('../server.js');
+
+// Stub of fetch: routes maps "METHOD url" (or just "url" for every method) to { status, location } or an error to throw
+function stubFetch(t, routes) {
+    const requests = [];
+    const originalFetch = global.fetch;
+    global.fetch = async (url, options) => {
+        requests.push(`${options.method} ${url}`);
+        const route = routes[`${options.method} ${url}`] || routes[url];
+        if (!route) throw new TypeError('fetch failed', { cause: { code: 'ENOTFOUND' } });
+        if (route instanceof Error) throw route;
+        return new Response(null, { status: route.status, headers: route.location ? { location: route.location } : {} });
+    };
+    t.after(() => {
+        global.fetch = originalFetch;
+    });
+    return requests;
+}
+
+test('probeUrl reports ok for an https URL that answers', async (t) => {
+    stubFetch(t, { 'https://www.mazda.de/': { status: 200 } });
+
+    const result = await probeUrl('https://www.mazda.de/');
+
+    assert.strictEqual(result.verdict, 'ok');
+    assert.strictEqual(result.method, 'HEAD');
+    assert.strictEqual(result.finalStatus, 200);
+});
+
+test('probeUrl asks again with GET when HEAD is rejected', async (t) => {
+    const requests = stubFetch(t, {
+        'HEAD https://www.mazda.de/offer': { status: 405 },
+        'GET https://www.mazda.de/offer': { status: 200 }
+    });
+
+    const result = await probeUrl('https://www.mazda.de/offer');
+
+    assert.strictEqual(result.verdict, 'ok');
+    assert.strictEqual(result.method, 'GET');
+    assert.deepStrictEqual(requests, ['HEAD https://www.mazda.de/offer', 'GET https://www.mazda.de/offer']);
+});
+
+test('probeUrl reports broken for error statuses, unreachable hosts and invalid URLs', async (t) => {
+    stubFetch(t, { 'https://www.mazda.de/gone': { status: 404 } });
+
+    assert.strictEqual((await probeUrl('https://www.mazda.de/gone')).verdict, 'broken');
+
+    const unreachable = await probeUrl('https://unknown.example/');
+    assert.strictEqual(unreachable.verdict, 'broken');
+    assert.strictEqual(unreachable.error, 'ENOTFOUND');
+
+    const invalid = await probeUrl('not a url');
+    assert.strictEqual(invalid.verdict, 'broken');
+    assert.strictEqual(invalid.error, 'Invalid URL');
+});
+
+test('probeUrl reports insecure when the URL ends on http', async (t) => {
+    stubFetch(t, {
+        'https://www.mazda.de/old': { status: 301, location: 'http://www.mazda.de/new' },
+        'http://www.mazda.de/new': { status: 200 }
+    });
+
+    const result = await probeUrl('https://www.mazda.de/old');
+
+    assert.strictEqual(result.verdict, 'insecure');
+    assert.deepStrictEqual(result.redirectChain, [{ url: 'https://www.mazda.de/old', status: 301 }]);
+});
+
+test('probeUrl warns about http links upgraded to https and staging hosts', async (t) => {
+    stubFetch(t, {
+        'http://www.mazda.de/': { status: 301, location: 'https://www.mazda.de/' },
+        'https://www.mazda.de/': { status: 200 },
+        'https://staging.mazda.de/': { status: 200 }
+    });
+
+    assert.strictEqual((await probeUrl('http://www.mazda.de/')).verdict, 'warning');
+
+    const staging = await probeUrl('https://staging.mazda.de/');
+    assert.strictEqual(staging.verdict, 'warning');
+    assert.strictEqual(staging.stagingHost, true);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadIndexFunctions } = require('./helpers/index-html.js');
+
+const { parseWarrantyYears, extractLogoWarrantyYears } = loadIndexFunctions(['parseWarrantyYears', 'extractLogoWarrantyYears']);
+
+test('parseWarrantyYears reads the years in every supported language', () => {
+    assert.strictEqual(parseWarrantyYears('6 years'), 6);
+    assert.strictEqual(parseWarrantyYears('6 ans'), 6);
+    assert.strictEqual(parseWarrantyYears('7-Jahre-Garantie'), 7);
+    assert.strictEqual(parseWarrantyYears('6 anni di garanzia'), 6);
+    assert.strictEqual(parseWarrantyYears('6 años'), 6);
+    assert.strictEqual(parseWarrantyYears('6 lat gwarancji'), 6);
+    assert.strictEqual(parseWarrantyYears('6 år'), 6);
+    assert.strictEqual(parseWarrantyYears('6 vuotta'), 6);
+    assert.strictEqual(parseWarrantyYears('6'), 6);
+});
+
+test('parseWarrantyYears does not read the end of a longer number', () => {
+    assert.strictEqual(parseWarrantyYears('Since 2023 years of quality'), null);
+    assert.strictEqual(parseWarrantyYears('2023 years, 6 years warranty'), 6);
+});
+
+test('parseWarrantyYears only matches whole year words', () => {
+    assert.strictEqual(parseWarrantyYears('6 anniversary'), null);
+    assert.strictEqual(parseWarrantyYears('6 lately'), null);
+    assert.strictEqual(parseWarrantyYears('no warranty'), null);
+    assert.strictEqual(parseWarrantyYears(''), null);
+});
+
+test('extractLogoWarrantyYears reads the year count from the logo file name', () => {
+    assert.strictEqual(extractLogoWarrantyYears('https://cdn.example.com/logos/Warranty_6Y_DE.png'), 6);
+    assert.strictEqual(extractLogoWarrantyYears('warranty-6yrs.png?v=2'), 6);
+    assert.strictEqual(extractLogoWarrantyYears('7_years_HOR.png'), 7);
+    assert.strictEqual(extractLogoWarrantyYears('Warranty_HOR_2023.png'), null);
+    assert.strictEqual(extractLogoWarrantyYears('warranty_6_yellow.png'), null);
+});